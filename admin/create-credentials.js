@@ -0,0 +1,64 @@
+// admin/create-credentials.js
+// Creates the credentials used by utilities/auth.js.
+//
+// Usage: node admin/create-credentials.js <command> [name]
+//   secret         print a random value for AUTH_SECRET
+//   user <name>    ask for a password and print the AUTH_USERS entry of <name>
+//   key <name>     print a new API key for <name> (needs the deployment's AUTH_SECRET)
+//
+// AUTH_USERS holds comma separated entries; API keys are revoked by adding
+// the printed id to AUTH_REVOKED_KEYS.
+
+const crypto = require('crypto');
+const readline = require('readline');
+const { hashPassword, issueApiKey } = require('../utilities/auth');
+
+const [command, name] = process.argv.slice(2);
+const NAME_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+function askPassword() {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  if (command === 'secret') {
+    console.log(crypto.randomBytes(32).toString('base64url'));
+    return;
+  }
+
+  if (!['user', 'key'].includes(command) || !name) {
+    console.error('Usage: node admin/create-credentials.js secret | user <name> | key <name>');
+    process.exit(1);
+  }
+
+  // Names end up in the comma and colon separated AUTH_USERS list
+  if (!NAME_PATTERN.test(name)) {
+    console.error('Names may only contain letters, digits, ".", "@", "-" and "_"');
+    process.exit(1);
+  }
+
+  if (command === 'user') {
+    const password = await askPassword();
+    if (password.length < 8) {
+      console.error('Passwords must have at least 8 characters');
+      process.exit(1);
+    }
+    console.log(`${name}:${hashPassword(password)}`);
+    return;
+  }
+
+  const { id, key } = issueApiKey(name);
+  console.log(`API key for ${name} (id ${id}):`);
+  console.log(key);
+}
+
+main().catch(error => {
+  console.error('Failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+// api/chat.js
+// Chat completions with the reasoning prompt built server-side, so API
+// clients get CoT/CoD behavior without sending the prompts themselves.
+//
+// POST /api/chat
+// {
+//   "messages": [{ "role": "user", "content": "..." }],   conversation, required
+//   "reasoningMethod": "cod",       standard, cot or cod (default: cod)
+//   "codWordLimit": 5,              CoD words per step (default: the model's recommended limit from
+//                                   /api/models, else 5); "auto" lets the word limit
+//                                   bandit choose per complexity level (see api/word-limits.js)
+//   "selfReflection": true,         add a reflection step to CoD (default: true)
+//   "adaptive": true,               enhanced prompts for complex problems (default: true)
+//   "complexityClassifier": "llm",  how adaptive mode rates the question: feature or llm
+//                                   (default: COMPLEXITY_CLASSIFIER or feature)
+//   "promptName": "team-cod",       use a template from the prompt library (/api/prompts)
+//   "promptVersion": 3,             version of that template (default: current)
+//   "promptValues": { ... },        values for its {{variables}}; word_limit defaults to codWordLimit
+//   "model": "...", "temperature": 0.5, "stream": false, ...   passed on to the LLM gateway
+// }
+//
+// The response is the gateway's (see utilities/llm-gateway.js) plus a
+// `prompt` block describing the prompt that was used.
+//
+// POST /api/chat/prompt
+// Builds the system prompt only, without calling the model; the UI puts it in
+// front of the conversation it sends to /api/proxy or /api/streaming. Takes
+// the same reasoning fields (codWordLimit must be a number) and optionally
+//   "complexity": { "complexity": "complex", "estimatedSteps": 6, ... }   an /api/complexity
+//                                   result, so adaptive mode doesn't rate the question again
+// Returns { systemPrompt, prompt } where prompt is the block described above.
+const { handleChatRequest, GatewayError } = require('../utilities/llm-gateway');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+const { REASONING_METHODS, DEFAULT_COD_WORD_LIMIT, buildChatMessages, lastUserQuestion } = require('../utilities/prompt-builder');
+const { classifyComplexity, getClassifierNames } = require('../utilities/complexity');
+const { selectWordLimit } = require('../utilities/word-limit-bandit');
+const { PromptTemplateError } = require('../utilities/prompt-template');
+const { PromptLibraryError, getPrompt } = require('../utilities/prompt-library');
+const { DEFAULT_MODEL, getModel } = require('../utilities/model-registry');
+
+const MAX_COD_WORD_LIMIT = 50;
+const COMPLEXITY_LEVELS = ['simple', 'normal', 'complex'];
+
+// Loads a prompt library template; library errors become client errors
+async function loadTemplate(promptName, promptVersion, promptValues) {
+  if (promptValues !== undefined && (typeof promptValues !== 'object' || Array.isArray(promptValues))) {
+    throw new GatewayError(400, { error: 'Invalid promptValues', message: 'promptValues must be an object' });
+  }
+
+  try {
+    return await getPrompt(promptName, promptVersion);
+  } catch (error) {
+    if (error instanceof PromptLibraryError) {
+      throw new GatewayError(error.status, { error: error.message });
+    }
+    throw error;
+  }
+}
+
+// Bandit choice of the CoD word limit; without the stats store the default limit is used
+async function chooseWordLimit(category, voter) {
+  try {
+    return await selectWordLimit(category, voter);
+  } catch (error) {
+    console.warn('Word limit bandit unavailable, using the default limit:', error.message);
+    return { policy: 'default', category, limit: DEFAULT_COD_WORD_LIMIT, reason: 'bandit-unavailable', decidedAt: new Date().toISOString() };
+  }
+}
+
+// The fields of a client-supplied complexity rating that the prompt builder reads
+function readComplexity(complexity) {
+  if (!complexity || typeof complexity !== 'object' || !COMPLEXITY_LEVELS.includes(complexity.complexity)) {
+    throw new GatewayError(400, { error: 'Invalid complexity', message: `complexity.complexity must be one of: ${COMPLEXITY_LEVELS.join(', ')}` });
+  }
+  return {
+    complexity: complexity.complexity,
+    estimatedSteps: Number.isFinite(complexity.estimatedSteps) ? complexity.estimatedSteps : 0,
+    hasMath: !!complexity.hasMath,
+    hasLogic: !!complexity.hasLogic,
+    multiStep: !!complexity.multiStep,
+    classifier: typeof complexity.classifier === 'string' ? complexity.classifier : undefined
+  };
+}
+
+/**
+ * Builds the reasoning prompt for an /api/chat body
+ * @param {Object} body - Request body (see above)
+ * @param {Object} req - Request; req.auth.subject owns bandit decisions
+ * @param {Object} knownComplexity - Complexity rating to use instead of classifying the question
+ * @return {Promise<Object>} { built, model, completionOptions, metadata }; built is buildChatMessages' result
+ */
+async function buildPrompt(body, req, knownComplexity = null) {
+  const {
+    messages,
+    reasoningMethod: requestedMethod,
+    codWordLimit: requestedWordLimit,
+    selfReflection = true,
+    adaptive = true,
+    promptName,
+    promptVersion,
+    promptValues,
+    complexityClassifier,
+    ...completionOptions
+  } = body;
+
+  // A library template brings its own reasoning method
+  const prompt = promptName ? await loadTemplate(promptName, promptVersion, promptValues) : null;
+  const reasoningMethod = requestedMethod || (prompt ? prompt.reasoningMethod : 'cod');
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new GatewayError(400, { error: 'Missing required parameter: messages' });
+  }
+  if (messages.some(message => !message || !message.role || message.content === undefined)) {
+    throw new GatewayError(400, { error: 'Invalid messages', message: 'Every message needs a role and content' });
+  }
+  if (!REASONING_METHODS.includes(reasoningMethod)) {
+    throw new GatewayError(400, { error: `Invalid reasoningMethod: ${reasoningMethod}. Expected one of: ${REASONING_METHODS.join(', ')}` });
+  }
+  const model = completionOptions.model || DEFAULT_MODEL;
+  const modelInfo = getModel(model);
+  const codWordLimit = requestedWordLimit !== undefined
+    ? requestedWordLimit
+    : (modelInfo ? modelInfo.codWordLimit : DEFAULT_COD_WORD_LIMIT);
+  const autoWordLimit = codWordLimit === 'auto';
+  let wordLimit = autoWordLimit ? DEFAULT_COD_WORD_LIMIT : parseInt(codWordLimit);
+  if (isNaN(wordLimit) || wordLimit < 1 || wordLimit > MAX_COD_WORD_LIMIT) {
+    throw new GatewayError(400, { error: `Invalid codWordLimit: ${codWordLimit}. Expected "auto" or a number from 1 to ${MAX_COD_WORD_LIMIT}` });
+  }
+
+  if (complexityClassifier !== undefined && !getClassifierNames().includes(complexityClassifier)) {
+    throw new GatewayError(400, { error: `Invalid complexityClassifier: ${complexityClassifier}. Expected one of: ${getClassifierNames().join(', ')}` });
+  }
+  // The complexity level is also the bandit's category
+  let complexity = knownComplexity;
+  if (!complexity && (adaptive || autoWordLimit)) {
+    const { usage, ...rating } = await classifyComplexity(lastUserQuestion(messages), { classifier: complexityClassifier });
+    // An LLM classifier spends tokens before the completion does
+    if (usage) {
+      await req.rateLimit.recordUsage(usage);
+    }
+    complexity = rating;
+  }
+
+  let wordLimitDecision;
+  if (autoWordLimit && reasoningMethod === 'cod') {
+    wordLimitDecision = await chooseWordLimit(complexity.complexity, req.auth.subject);
+    wordLimit = wordLimitDecision.limit;
+  }
+
+  let built;
+  try {
+    built = buildChatMessages({
+      messages,
+      reasoningMethod,
+      codWordLimit: wordLimit,
+      selfReflection: !!selfReflection,
+      adaptive: !!adaptive,
+      complexity,
+      template: prompt ? { template: prompt.template, variables: prompt.variables, values: promptValues } : undefined
+    });
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      throw new GatewayError(400, { error: 'Invalid promptValues', message: error.message });
+    }
+    throw error;
+  }
+
+  return {
+    built,
+    model,
+    completionOptions,
+    metadata: {
+      reasoning_method: reasoningMethod,
+      reasoning_info: built.reasoningInfo,
+      cod_word_limit: reasoningMethod === 'cod' ? wordLimit : undefined,
+      word_limit_decision: wordLimitDecision,
+      self_reflection: reasoningMethod === 'cod' ? !!selfReflection : undefined,
+      enhancement: built.enhancement,
+      prompt_name: prompt ? prompt.name : undefined,
+      prompt_version: prompt ? prompt.version : undefined,
+      complexity: built.complexity,
+      word_count_request: built.wordCountRequest
+    }
+  };
+}
+
+// Turns an /api/chat body into a gateway request
+async function buildRequest(body, req) {
+  const { built, model, completionOptions, metadata } = await buildPrompt(body, req);
+  return {
+    requestBody: {
+      ...completionOptions,
+      model: model,
+      messages: built.messages
+    },
+    metadata
+  };
+}
+
+// POST /api/chat/prompt: the system prompt for the reasoning settings
+async function handlePromptRequest(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    let requestBody;
+    try {
+      requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({
+        error: 'Invalid JSON in request body',
+        message: parseError.message
+      });
+      return;
+    }
+
+    const { complexity, ...body } = requestBody;
+    // Choosing a limit records a bandit decision, which belongs to a real completion
+    if (body.codWordLimit === 'auto') {
+      throw new GatewayError(400, { error: 'Invalid codWordLimit: auto. Choose the limit with /api/word-limits/choose first' });
+    }
+    const knownComplexity = complexity !== undefined && complexity !== null ? readComplexity(complexity) : null;
+    const { built, metadata } = await buildPrompt(body, req, knownComplexity);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({ systemPrompt: built.systemPrompt, prompt: metadata });
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+    if (error instanceof GatewayError) {
+      res.status(error.status).json(error.body);
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  // Log function invocation
+  console.log("Chat API called:", new Date().toISOString());
+
+  if (req.query && req.query.action === 'prompt') {
+    await handlePromptRequest(req, res);
+    return;
+  }
+  await handleChatRequest(req, res, { buildRequest });
+}));
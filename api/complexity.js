@@ -0,0 +1,71 @@
+// api/complexity.js
+// Rates how hard a question is, for adaptive reasoning in the UI
+//
+// POST /api/complexity
+// { "message": "...", "classifier": "feature" }   classifier: feature or llm (default: COMPLEXITY_CLASSIFIER or feature)
+//
+// Returns { complexity: { complexity, estimatedSteps, recommendedWordLimit, confidence,
+//           hasMath, hasLogic, multiStep, wordCount, classifier } }
+
+const { classifyComplexity, getClassifierNames } = require('../utilities/complexity');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Log function invocation to help with debugging
+    console.log("Complexity API called:", new Date().toISOString());
+
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({
+        error: 'Invalid JSON in request body',
+        message: parseError.message
+      });
+      return;
+    }
+
+    if (typeof requestBody.message !== 'string' || !requestBody.message.trim()) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: 'Missing required parameter: message' });
+      return;
+    }
+
+    const classifier = requestBody.classifier;
+    if (classifier !== undefined && !getClassifierNames().includes(classifier)) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid classifier: ${classifier}. Expected one of: ${getClassifierNames().join(', ')}` });
+      return;
+    }
+
+    const { usage, ...complexity } = await classifyComplexity(requestBody.message, { classifier });
+    if (usage) {
+      await req.rateLimit.recordUsage(usage);
+    }
+    console.log(`Complexity: ${complexity.complexity} (${complexity.classifier}, confidence ${complexity.confidence})`);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.status(200).json({ complexity });
+
+  } catch (error) {
+    console.error('Function error:', error.message, error.stack);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}));
@@ -0,0 +1,125 @@
+// api/extract.js
+// Extracts the text of document attachments so it can go into the prompt.
+// Parsing happens on this server; nothing is sent to a provider.
+//
+// POST /api/extract
+// {
+//   "files": [{ "name": "report.pdf", "type": "application/pdf", "data": "<base64 or data URL>" }],
+//   "query": "...",             the user's question; picks the relevant parts of large documents
+//   "tokenBudget": 8000         tokens all attachments may take together (default: EXTRACT_TOKEN_BUDGET or 8000)
+// }
+//
+// Returns { tokenBudget, usedTokens, attachments: [...] } with one entry per
+// file, in order (see utilities/attachments.js):
+//   { name, format, characters, tokens, chunks, includedChunks, includedCharacters,
+//     includedTokens, truncated, text, pages (PDF), language (source files) }
+// or { name, error, status } for a file that could not be read.
+//
+// Vercel limits request bodies to 4.5 MB, so large uploads fail before they get here.
+// DOCX and XLSX files that unpack to more than EXTRACT_MAX_UNCOMPRESSED_BYTES
+// (default: 50 MB) are rejected with a 413 (see utilities/extractors/zip.js).
+// Requests count against the rate limits (utilities/rate-limit).
+
+const { ExtractError, extractDocument } = require('../utilities/extractors');
+const { fitAttachments } = require('../utilities/attachments');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+
+const MAX_FILES = parseInt(process.env.EXTRACT_MAX_FILES || '10');
+const MAX_FILE_BYTES = parseInt(process.env.EXTRACT_MAX_FILE_BYTES || String(3 * 1024 * 1024));
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.EXTRACT_TOKEN_BUDGET || '8000');
+const MAX_TOKEN_BUDGET = 100000;
+
+// Decodes base64 file data, with or without a data: URL prefix
+function decodeFileData(data) {
+  const base64 = String(data).replace(/^data:[^,]*;base64,/, '');
+  return Buffer.from(base64, 'base64');
+}
+
+// Extracts one file; read errors are reported per file instead of failing the request
+async function extractFile(file) {
+  const name = String(file.name);
+  try {
+    const buffer = decodeFileData(file.data);
+    if (buffer.length > MAX_FILE_BYTES) {
+      throw new ExtractError(413, `${name} is larger than ${Math.round(MAX_FILE_BYTES / 1024 / 1024)} MB`);
+    }
+
+    const startTime = Date.now();
+    const extracted = await extractDocument(buffer, { name, type: file.type });
+    console.log(`Extracted ${name} (${extracted.format}, ${buffer.length} bytes) in ${Date.now() - startTime}ms`);
+    return { ...extracted, name };
+  } catch (error) {
+    if (!(error instanceof ExtractError)) throw error;
+    console.warn(`Extraction failed for ${name}: ${error.message}`);
+    return { name, error: error.message, status: error.status };
+  }
+}
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    console.log("Extract API called:", new Date().toISOString());
+
+    let body;
+    try {
+      body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (parseError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: 'Invalid JSON in request body', message: parseError.message });
+      return;
+    }
+
+    const { files, query = '', tokenBudget = DEFAULT_TOKEN_BUDGET } = body || {};
+
+    if (!Array.isArray(files) || files.length === 0) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: 'Missing required parameter: files' });
+      return;
+    }
+    if (files.length > MAX_FILES) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Too many files: ${files.length}. At most ${MAX_FILES} per request` });
+      return;
+    }
+    const invalidIndex = files.findIndex(file => !file || typeof file.name !== 'string' || typeof file.data !== 'string');
+    if (invalidIndex !== -1) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid files[${invalidIndex}]`, message: 'Every file needs a name and base64 data' });
+      return;
+    }
+    const budget = parseInt(tokenBudget);
+    if (isNaN(budget) || budget < 1 || budget > MAX_TOKEN_BUDGET) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid tokenBudget: ${tokenBudget}. Expected a number from 1 to ${MAX_TOKEN_BUDGET}` });
+      return;
+    }
+
+    // One at a time; parsers hold whole documents in memory
+    const documents = [];
+    for (const file of files) {
+      documents.push(await extractFile(file));
+    }
+
+    const attachments = await fitAttachments(documents, { query: String(query), tokenBudget: budget });
+    const usedTokens = attachments.reduce((total, attachment) => total + (attachment.includedTokens || 0), 0);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({ tokenBudget: budget, usedTokens, attachments });
+  } catch (error) {
+    console.error('Extract API error:', error.message, error.stack);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}));
@@ -1,50 +1,17 @@
 // api/kag.js
 // Main API endpoint for Knowledge Augmented Generation (KAG)
 
-const { MongoClient } = require('mongodb');
-const { augmentPromptWithKagExamples, formatKagExamples } = require('./kag-search');
-
-// MongoDB connection details
-const uri = process.env.MONGODB_URI;
-const dbName = process.env.MONGODB_DB_NAME || 'kag-database';
-const collectionName = process.env.MONGODB_COLLECTION || 'examples';
-
-// Cache MongoDB connection
-let cachedDb = null;
-
-async function connectToDatabase(uri) {
-  if (cachedDb) {
-    return cachedDb;
-  }
-  
-  const client = new MongoClient(uri, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-    serverSelectionTimeoutMS: 5000,
-    connectTimeoutMS: 10000,
-  });
-  
-  await client.connect();
-  const db = client.db(dbName);
-  
-  cachedDb = db;
-  return db;
-}
-
-module.exports = async (req, res) => {
-  // Handle OPTIONS request for CORS
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.status(204).end();
-    return;
-  }
+const { augmentPromptWithKagExamples, formatKagExamples } = require('../utilities/kag-processor');
+const { RETRIEVAL_MODES, parseMaxResults } = require('../utilities/kag-retrieval');
+const { getStorage, getSearchableCollections, resolveCollectionName } = require('../utilities/storage');
+const { cacheKey, readCache, writeCache } = require('../utilities/cache');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
 
+module.exports = withAuth(withRateLimit(async (req, res) => {
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
@@ -54,14 +21,15 @@ module.exports = async (req, res) => {
     // Log function invocation to help with debugging
     console.log("KAG API called:", new Date().toISOString());
     
-    // Check if MongoDB URI is configured
-    if (!uri) {
-      console.error("ERROR: MongoDB URI is missing in environment variables");
+    // Check that the example store is configured
+    const storage = getStorage();
+    const configError = storage.checkConfig();
+    if (configError) {
+      console.error(`ERROR: ${storage.name} storage is not configured: ${configError}`);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(500).json({ 
         error: 'Configuration error', 
-        message: 'Database connection string not configured'
+        message: configError
       });
       return;
     }
@@ -73,7 +41,6 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(400).json({ 
         error: 'Invalid JSON in request body', 
         message: parseError.message 
@@ -84,36 +51,55 @@ module.exports = async (req, res) => {
     // Validate the query parameter
     if (!requestBody.query) {
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(400).json({ error: 'Missing required parameter: query' });
       return;
     }
 
     // Get the query and optional parameters
     const query = requestBody.query;
-    const collName = requestBody.collectionName || collectionName;
-    const maxResults = parseInt(requestBody.maxResults || 3);
+    const collName = resolveCollectionName(requestBody.collectionName);
+    const maxResults = parseMaxResults(requestBody.maxResults, 3);
     const systemPrompt = requestBody.systemPrompt || "";
+    const mode = requestBody.mode || 'text';
     
-    console.log(`KAG query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`,
-                `Collection: ${collName}, Max results: ${maxResults}`);
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid mode: ${mode}. Expected one of: ${RETRIEVAL_MODES.join(', ')}` });
+      return;
+    }
+    if (!collName) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid collectionName. Expected one of: ${getSearchableCollections().join(', ')}` });
+      return;
+    }
+    if (maxResults === null) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: 'Invalid maxResults: expected a number' });
+      return;
+    }
     
-    // Connect to MongoDB
-    const db = await connectToDatabase(uri);
-    const collection = db.collection(collName);
+    console.log(`KAG query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`,
+                `Collection: ${collName}, Max results: ${maxResults}, Mode: ${mode}`);
     
     // Search for relevant examples
-    // Using MongoDB's text search capability, which requires a text index
-    // (db.examples.createIndex({ "input": "text", "output": "text" }))
-    const examples = await collection.find(
-      { $text: { $search: query } },
-      { score: { $meta: "textScore" } }
-    )
-    .sort({ score: { $meta: "textScore" } })
-    .limit(maxResults)
-    .toArray();
+    // With MongoDB, text mode requires a text index
+    // (db.examples.createIndex({ "input": "text", "output": "text" }));
+    // vector and hybrid modes need embeddings written by the importer
+    // With { cache: true } repeated searches are answered from the response cache
+    const key = requestBody.cache === true
+      ? cacheKey('kag', { storage: storage.name, collectionName: collName, query, mode, maxResults })
+      : null;
+    let examples = key ? await readCache(key) : null;
+    const cacheHit = !!examples;
+
+    if (!examples) {
+      examples = await storage.search(query, { mode, maxResults, collectionName: collName });
+      if (key) {
+        await writeCache(key, examples);
+      }
+    }
     
-    console.log(`Found ${examples.length} matching examples`);
+    console.log(`Found ${examples.length} matching examples${cacheHit ? ' (cached)' : ''}`);
 
     // Format the response
     let responseData;
@@ -123,30 +109,32 @@ module.exports = async (req, res) => {
       responseData = {
         augmentedPrompt: augmentPromptWithKagExamples(systemPrompt, examples),
         examples: examples,
-        count: examples.length
+        count: examples.length,
+        mode: mode,
+        metadata: { cache_hit: cacheHit }
       };
     } else {
       // Just return the examples without augmenting a prompt
       responseData = {
         examples: examples,
         count: examples.length,
-        formattedExamples: formatKagExamples(examples)
+        mode: mode,
+        formattedExamples: formatKagExamples(examples),
+        metadata: { cache_hit: cacheHit }
       };
     }
 
     // Send back the results
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
     res.status(200).json(responseData);
     
   } catch (error) {
     console.error('Function error:', error.message, error.stack);
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.status(500).json({ 
       error: 'Internal Server Error', 
       message: error.message
     });
   }
-};
+}));
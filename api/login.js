@@ -0,0 +1,126 @@
+// api/login.js
+// Session tokens for the UI (see utilities/auth.js)
+//
+//   GET    /api/login      { authRequired, authenticated, user, type, expiresAt } for the sent token
+//   POST   /api/login      log in { username, password } -> { token, expiresAt, user }
+//                          (rate limited per IP address like the completion routes)
+//
+// The token goes in the Authorization header of later requests:
+//   Authorization: Bearer <token>
+
+const {
+  AuthError,
+  isAuthDisabled,
+  issueSession,
+  verifyPassword,
+  applyCors,
+  authenticate
+} = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+
+const ALLOWED_METHODS = 'GET, POST, OPTIONS';
+
+// Password guesses count against the client IP's request rate (utilities/rate-limit)
+const logIn = withRateLimit(async (req, res) => {
+  if (isAuthDisabled()) {
+    res.status(400).json({ error: 'Authentication is disabled on this deployment' });
+    return;
+  }
+
+  // Parse request body
+  let requestBody;
+  try {
+    requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+  } catch (parseError) {
+    console.error("Failed to parse request body:", parseError);
+    res.status(400).json({
+      error: 'Invalid JSON in request body',
+      message: parseError.message
+    });
+    return;
+  }
+
+  const { username, password } = requestBody;
+  if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+    res.status(400).json({ error: 'Missing required parameters: username and password' });
+    return;
+  }
+
+  if (!(await verifyPassword(username, password))) {
+    console.warn(`Failed login for ${username}`);
+    res.status(401).json({ error: 'Invalid username or password' });
+    return;
+  }
+
+  const session = issueSession(username);
+  console.log(`${username} logged in, session valid until ${session.expiresAt}`);
+  res.status(200).json({ token: session.token, expiresAt: session.expiresAt, user: username });
+});
+
+module.exports = async (req, res) => {
+  if (!applyCors(req, res, ALLOWED_METHODS)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(403).json({ error: 'Origin not allowed' });
+    return;
+  }
+
+  // Handle OPTIONS request for CORS
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', ALLOWED_METHODS);
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Log function invocation to help with debugging
+    console.log("Login API called:", req.method, new Date().toISOString());
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+
+    if (req.method === 'GET') {
+      if (isAuthDisabled()) {
+        res.status(200).json({ authRequired: false, authenticated: true });
+        return;
+      }
+
+      let auth = null;
+      try {
+        auth = authenticate(req);
+      } catch (error) {
+        // A missing or expired token just means the user has to log in
+        if (!(error instanceof AuthError) || error.status !== 401) throw error;
+      }
+      res.status(200).json({
+        authRequired: true,
+        authenticated: !!auth,
+        user: auth ? auth.subject : null,
+        type: auth ? auth.type : null,
+        expiresAt: auth ? auth.expiresAt : null
+      });
+      return;
+    }
+
+    await logIn(req, res);
+
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (error instanceof AuthError) {
+      res.status(error.status).json({ error: 'Configuration error', message: error.message });
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
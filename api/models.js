@@ -0,0 +1,53 @@
+// api/models.js
+// Model catalog from the server-side registry (utilities/model-registry.js),
+// the same data the proxies validate requests against.
+//
+//   GET    /api/models     { defaultModel, models: [{ id, name, tags, description, provider, available,
+//                                                    contextWindow, maxOutputTokens,
+//                                                    capabilities: { vision, tools, jsonMode },
+//                                                    pricing: { input, output } | null, codWordLimit }] }
+//
+// Pricing is USD per million tokens. `available` is false when the model's
+// provider has no API key configured.
+
+const { applyCors } = require('../utilities/auth');
+const { DEFAULT_MODEL, listModels } = require('../utilities/model-registry');
+
+const ALLOWED_METHODS = 'GET, OPTIONS';
+
+module.exports = async (req, res) => {
+  if (!applyCors(req, res, ALLOWED_METHODS)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(403).json({ error: 'Origin not allowed' });
+    return;
+  }
+
+  // Handle OPTIONS request for CORS
+  if (req.method === 'OPTIONS') {
+    res.status(204).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', ALLOWED_METHODS);
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    console.log("Models API called:", new Date().toISOString());
+
+    res.setHeader('Content-Type', 'application/json');
+    // The catalog only changes with a deploy or a configuration change
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.status(200).json({ defaultModel: DEFAULT_MODEL, models: listModels() });
+  } catch (error) {
+    console.error('Models API error:', error.message, error.stack);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
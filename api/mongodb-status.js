@@ -1,27 +1,7 @@
 // api/mongodb-status.js
-const { MongoClient } = require('mongodb');
+// Reports whether the configured example store (MongoDB, memory or JSONL) is reachable
 
-// Cache MongoDB connection
-let cachedDb = null;
-
-async function connectToDatabase(uri) {
-  if (cachedDb) {
-    return cachedDb;
-  }
-  
-  const client = new MongoClient(uri, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-    serverSelectionTimeoutMS: 5000,
-    connectTimeoutMS: 10000,
-  });
-  
-  await client.connect();
-  const db = client.db(process.env.MONGODB_DB_NAME || "ragDatabase");
-  
-  cachedDb = db;
-  return db;
-}
+const { getStorage } = require('../utilities/storage');
 
 module.exports = async (req, res) => {
   // Set CORS headers
@@ -40,13 +20,15 @@ module.exports = async (req, res) => {
   }
 
   try {
-    // Get MongoDB URI from environment variable
-    const mongoDbUri = process.env.MONGODB_URI;
+    // Check that the example store is configured
+    const storage = getStorage();
+    const configError = storage.checkConfig();
     
-    if (!mongoDbUri) {
+    if (configError) {
       return res.status(500).json({
         status: 'error',
-        message: 'MongoDB URI not configured in environment variables',
+        storage: storage.name,
+        message: configError,
         time: new Date().toISOString()
       });
     }
@@ -54,28 +36,28 @@ module.exports = async (req, res) => {
     // Start timer to measure connection speed
     const startTime = Date.now();
     
-    // Attempt to connect to MongoDB
-    const db = await connectToDatabase(mongoDbUri);
-    
-    // Test a simple command to verify connection is working
-    const result = await db.command({ ping: 1 });
+    // Test a simple command to verify the store is working
+    const result = await storage.ping();
+    const documentCount = await storage.count();
     
     const endTime = Date.now();
     const connectionTime = endTime - startTime;
     
     return res.status(200).json({
       status: 'ok',
-      message: 'Successfully connected to MongoDB',
+      storage: storage.name,
+      message: `Successfully connected to ${storage.name} storage`,
       connectionTimeMs: connectionTime,
       time: new Date().toISOString(),
-      collections: process.env.MONGODB_COLLECTION || "rag_collection"
+      collections: result.collections || process.env.MONGODB_COLLECTION || "examples",
+      documentCount: documentCount
     });
   } catch (error) {
-    console.error('MongoDB connection error:', error);
+    console.error('Storage connection error:', error);
     
     return res.status(500).json({
       status: 'error',
-      message: `Failed to connect to MongoDB: ${error.message}`,
+      message: `Failed to connect to storage: ${error.message}`,
       time: new Date().toISOString()
     });
   }
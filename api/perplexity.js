@@ -1,23 +1,121 @@
 // Vercel/Netlify Function to handle Perplexity API requests
+//
+// With { stream: true } in the body the answer is relayed as Server-Sent
+// Events in the same normalized form as api/streaming.js, followed by a final
+// {"type":"citations","sources":[...]} event just before [DONE].
+//
+// Sources are numbered to match the [n] markers in the answer:
+//   { number, title, url, domain, snippet, cited }
+//
+// Non-streaming requests with { cache: true } are answered from the response
+// cache when the same query was asked recently; metadata.cache_hit says so.
 const fetch = require('node-fetch');
+const { abortOnClientDisconnect, relayChatStream, normalizeChatChunk } = require('../utilities/sse');
+const { extractSources } = require('../utilities/perplexity-sources');
+const { cacheKey, readCache, writeCache } = require('../utilities/cache');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+const { resolveUsage } = require('../utilities/token-usage');
 
-module.exports = async (req, res) => {
-  // Log function invocation to help with debugging
-  console.log("Perplexity API endpoint called:", new Date().toISOString());
+const PERPLEXITY_CHAT_URL = 'https://api.perplexity.ai/chat/completions';
 
-  // Handle OPTIONS request for CORS
-  if (req.method === 'OPTIONS') {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.status(204).end();
-    return;
+// Streaming requests are aborted if Perplexity sends nothing for this long
+const STREAM_IDLE_TIMEOUT_MS = 25000;
+
+// Request body shared by the streaming and non-streaming paths
+function buildPerplexityRequest(query, stream) {
+  return {
+    model: "sonar-pro",
+    messages: [
+      { 
+        role: "system", 
+        content: "You are a helpful assistant that provides accurate information with online search capabilities." 
+      },
+      { 
+        role: "user", 
+        content: query 
+      }
+    ],
+    temperature: 0.7,
+    max_tokens: 2048,
+    stream: stream
+  };
+}
+
+// Relays Perplexity's incremental tokens; citations are sent once the answer is complete.
+// The usage Perplexity reports is passed to recordUsage for the token quota; when the
+// stream breaks off before it arrives, the usage is estimated from what was streamed.
+async function streamPerplexity(query, apiKey, res, recordUsage) {
+  const controller = new AbortController();
+  const isClientClosed = abortOnClientDisconnect(res, controller);
+  const perplexityRequest = buildPerplexityRequest(query, true);
+
+  try {
+    const response = await fetch(PERPLEXITY_CHAT_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'Authorization': `Bearer ${apiKey}`
+      },
+      body: JSON.stringify(perplexityRequest),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Perplexity API error (${response.status}): ${errorText}`);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(response.status).json({ 
+        error: `Perplexity API Error: ${response.statusText}`, 
+        details: errorText
+      });
+      return;
+    }
+
+    // Every chunk repeats the citations found so far; keep the latest lists
+    const accumulated = { citations: [], search_results: [] };
+    let answer = '';
+    let usage = null;
+
+    try {
+      await relayChatStream(res, response, {
+        controller,
+        isClientClosed,
+        idleTimeoutMs: STREAM_IDLE_TIMEOUT_MS,
+        onChunk: chunk => {
+          if (Array.isArray(chunk.citations)) accumulated.citations = chunk.citations;
+          if (Array.isArray(chunk.search_results)) accumulated.search_results = chunk.search_results;
+          const normalized = normalizeChatChunk(chunk);
+          answer += normalized.delta;
+          usage = normalized.usage || usage;
+        },
+        finalEvents: () => [{ type: 'citations', sources: extractSources(accumulated, answer) }]
+      });
+      console.log("Perplexity stream completed");
+    } finally {
+      await recordUsage(resolveUsage(usage, perplexityRequest.messages, answer));
+    }
+  } catch (error) {
+    if (isClientClosed()) return;
+    console.error("Perplexity streaming error:", error);
+
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(500).json({ error: 'Request Failed', message: error.message });
+      return;
+    }
+    res.end();
   }
+}
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  // Log function invocation to help with debugging
+  console.log("Perplexity API endpoint called:", new Date().toISOString());
 
   // Only allow POST requests
   if (req.method !== 'POST') {
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Allow', 'POST');
     res.status(405).json({ error: 'Method Not Allowed' });
     return;
@@ -31,7 +129,6 @@ module.exports = async (req, res) => {
     if (!API_KEY) {
       console.error("ERROR: Perplexity API key is missing");
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(500).json({ error: 'Perplexity API key not configured on server' });
       return;
     }
@@ -43,7 +140,6 @@ module.exports = async (req, res) => {
     } catch (parseError) {
       console.error("Failed to parse request body:", parseError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(400).json({ 
         error: 'Invalid JSON in request body', 
         message: parseError.message 
@@ -54,7 +150,6 @@ module.exports = async (req, res) => {
     // Validate the query parameter
     if (!requestBody.query) {
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(400).json({ error: 'Missing required parameter: query' });
       return;
     }
@@ -62,7 +157,25 @@ module.exports = async (req, res) => {
     // Log the query (truncate if very long)
     const truncatedQuery = requestBody.query.substring(0, 100) + 
                           (requestBody.query.length > 100 ? '...' : '');
-    console.log(`Perplexity query: "${truncatedQuery}"`);
+    console.log(`Perplexity query: "${truncatedQuery}"`, requestBody.stream ? '(streaming)' : '');
+    
+    if (requestBody.stream) {
+      await streamPerplexity(requestBody.query, API_KEY, res, req.rateLimit.recordUsage);
+      return;
+    }
+
+    // Web search answers go stale, so they are only cached on request
+    const key = requestBody.cache === true ? cacheKey('perplexity', { query: requestBody.query }) : null;
+    if (key) {
+      const cached = await readCache(key);
+      if (cached) {
+        console.log(`Serving Perplexity answer from cache (${key})`);
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).json({ ...cached, metadata: { cache_hit: true } });
+        return;
+      }
+    }
     
     // Set a timeout for the request
     const controller = new AbortController();
@@ -70,28 +183,13 @@ module.exports = async (req, res) => {
     
     try {
       // Forward the request to Perplexity API
-      const response = await fetch('https://api.perplexity.ai/chat/completions', {
+      const response = await fetch(PERPLEXITY_CHAT_URL, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${API_KEY}`
         },
-        body: JSON.stringify({
-          model: "sonar-pro",
-          messages: [
-            { 
-              role: "system", 
-              content: "You are a helpful assistant that provides accurate information with online search capabilities." 
-            },
-            { 
-              role: "user", 
-              content: requestBody.query 
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 2048,
-          stream: false
-        }),
+        body: JSON.stringify(buildPerplexityRequest(requestBody.query, false)),
         signal: controller.signal
       });
       
@@ -104,7 +202,6 @@ module.exports = async (req, res) => {
         console.error(`Perplexity API error (${response.status}): ${errorText}`);
         
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.status(response.status).json({ 
           error: `Perplexity API Error: ${response.statusText}`, 
           details: errorText
@@ -115,47 +212,23 @@ module.exports = async (req, res) => {
       // Parse the response data
       const data = await response.json();
       console.log("Perplexity API response received successfully");
+      await req.rateLimit.recordUsage(data.usage);
       
-      // Extract the answer and any citations/sources
-      let responseData = {
-        answer: data.choices[0].message.content,
-        sources: []
+      // Extract the answer and the sources its [n] markers point to
+      const answer = data.choices[0].message.content;
+      const responseData = {
+        answer: answer,
+        sources: extractSources(data, answer)
       };
-      
-      // Check if there are any tool calls for citations
-      if (data.choices[0].message.tool_calls) {
-        try {
-          // Extract citations if they exist in the tool_calls
-          const citations = data.choices[0].message.tool_calls.filter(
-            tool => tool.function.name === "citation" || tool.function.name === "web_search"
-          );
-          
-          if (citations.length > 0) {
-            console.log(`Found ${citations.length} citations in response`);
-            
-            // Parse citation arguments and add to sources
-            responseData.sources = citations.map(citation => {
-              try {
-                const args = JSON.parse(citation.function.arguments);
-                return {
-                  title: args.title || "Source",
-                  url: args.url || "",
-                  snippet: args.snippet || ""
-                };
-              } catch (e) {
-                console.error("Error parsing citation arguments:", e);
-                return { title: "Citation", url: "#" };
-              }
-            });
-          }
-        } catch (e) {
-          console.warn("Error parsing citations:", e);
-        }
+      console.log(`Found ${responseData.sources.length} sources in response`);
+
+      if (key) {
+        await writeCache(key, responseData);
       }
+      responseData.metadata = { cache_hit: false };
       
       // Return processed response
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
       res.status(200).json(responseData);
       
@@ -166,7 +239,6 @@ module.exports = async (req, res) => {
       // Check if this is an abort error (timeout)
       if (fetchError.name === 'AbortError') {
         res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Access-Control-Allow-Origin', '*');
         res.status(504).json({ 
           error: 'Gateway Timeout', 
           message: 'The request to the Perplexity API took too long to complete (>25 seconds).'
@@ -177,7 +249,6 @@ module.exports = async (req, res) => {
       // Handle other fetch errors
       console.error("Fetch error:", fetchError);
       res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
       res.status(500).json({ 
         error: 'Request Failed', 
         message: fetchError.message
@@ -186,10 +257,9 @@ module.exports = async (req, res) => {
   } catch (error) {
     console.error('Function error:', error.message, error.stack);
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
     res.status(500).json({ 
       error: 'Internal Server Error', 
       message: error.message
     });
   }
-};
+}));
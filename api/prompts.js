@@ -0,0 +1,118 @@
+// api/prompts.js
+// Shared prompt library: named templates with typed {{variables}} and
+// version history, so tuned CoD prompts can be shared by the whole team
+//
+//   GET    /api/prompts                     list prompts (?reasoningMethod=cod)
+//   GET    /api/prompts/:name               get a prompt (?version=<n>, default: current)
+//   GET    /api/prompts/:name/diff          diff two versions (?from=<n>&to=<n>)
+//   POST   /api/prompts                     create { name, description, reasoningMethod, template, variables, note }
+//   POST   /api/prompts/:name/versions      save a new version { template, variables, note, baseVersion }
+//   POST   /api/prompts/:name/render        render { version, values }
+//   DELETE /api/prompts/:name               delete
+//
+// Every request needs authentication (utilities/auth.js). The authenticated
+// user is recorded as the author of the versions they save; only a prompt's
+// owner and PROMPT_ADMINS may save versions of it or delete it
+// (see utilities/prompt-library.js).
+
+const {
+  PromptLibraryError,
+  listPrompts,
+  getPrompt,
+  createPrompt,
+  addVersion,
+  diffVersions,
+  renderPrompt,
+  deletePrompt
+} = require('../utilities/prompt-library');
+const { withAuth, requestUser } = require('../utilities/auth');
+
+const ALLOWED_METHODS = 'GET, POST, DELETE, OPTIONS';
+
+module.exports = withAuth(async (req, res) => {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', ALLOWED_METHODS);
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Log function invocation to help with debugging
+    console.log("Prompts API called:", req.method, new Date().toISOString());
+
+    if (!process.env.MONGODB_URI) {
+      console.error("ERROR: MONGODB_URI environment variable is not set");
+      res.setHeader('Content-Type', 'application/json');
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'MongoDB connection string is not configured'
+      });
+      return;
+    }
+
+    const query = req.query || {};
+    const author = requestUser(req);
+
+    // Parse request body
+    let requestBody = {};
+    if (req.method === 'POST') {
+      try {
+        requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+      } catch (parseError) {
+        console.error("Failed to parse request body:", parseError);
+        res.setHeader('Content-Type', 'application/json');
+        res.status(400).json({
+          error: 'Invalid JSON in request body',
+          message: parseError.message
+        });
+        return;
+      }
+    }
+
+    const name = query.name;
+    let status = 200;
+    let responseData;
+
+    if (req.method === 'GET' && name && query.action === 'diff') {
+      responseData = { diff: await diffVersions(name, query.from, query.to) };
+    } else if (req.method === 'GET' && name) {
+      responseData = { prompt: await getPrompt(name, query.version) };
+    } else if (req.method === 'GET') {
+      const prompts = await listPrompts({ reasoningMethod: query.reasoningMethod });
+      responseData = { prompts: prompts, count: prompts.length };
+    } else if (req.method === 'POST' && name && query.action === 'versions') {
+      responseData = { prompt: await addVersion(name, requestBody, author) };
+      status = 201;
+    } else if (req.method === 'POST' && name && query.action === 'render') {
+      responseData = await renderPrompt(name, { version: requestBody.version, values: requestBody.values });
+    } else if (req.method === 'POST' && !name) {
+      responseData = { prompt: await createPrompt(requestBody, author) };
+      status = 201;
+    } else if (req.method === 'DELETE' && name) {
+      responseData = await deletePrompt(name, author);
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Unsupported operation: ${req.method} ${req.url}` });
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(status).json(responseData);
+
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (error instanceof PromptLibraryError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}, { methods: ALLOWED_METHODS });
@@ -0,0 +1,227 @@
+// api/rag.js
+// Retrieval Augmented Generation endpoint: retrieves passages from the example store
+// and asks the model to answer using only those passages
+
+const { RETRIEVAL_MODES, parseMaxResults } = require('../utilities/kag-retrieval');
+const { getStorage, getSearchableCollections, resolveCollectionName } = require('../utilities/storage');
+const { formatSourceCitation } = require('../utilities/kag-processor');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+const { getModel } = require('../utilities/model-registry');
+const { GatewayError, assertValidChatRequest, chatCompletion } = require('../utilities/llm-gateway');
+
+// Model used for grounded generation
+const DEFAULT_RAG_MODEL = process.env.RAG_MODEL || 'accounts/fireworks/models/llama-v3p3-70b-instruct';
+
+/**
+ * Turns a stored example into a single passage of text
+ * @param {Object} doc - Document from the example collection
+ * @return {String} Passage text
+ */
+function passageText(doc) {
+  if (doc.text) {
+    return doc.text;
+  }
+
+  const parts = [];
+  if (doc.input) parts.push(`Q: ${doc.input}`);
+  if (doc.output) parts.push(`A: ${doc.output}`);
+  return parts.join('\n');
+}
+
+/**
+ * Builds the grounded system prompt listing the retrieved passages
+ * @param {Array} passages - Array of passage strings
+ * @return {String} System prompt
+ */
+function buildGroundedPrompt(passages) {
+  let prompt = "Answer the user's question using only the numbered passages below. " +
+               "Cite the passages you rely on with their number in square brackets, e.g. [1]. " +
+               "If the passages do not contain the answer, say that you could not find it in the knowledge base.\n\n";
+
+  passages.forEach((passage, index) => {
+    prompt += `[${index + 1}] ${passage}\n\n`;
+  });
+
+  return prompt.trim();
+}
+
+/**
+ * Finds which passages the answer cites with [n] markers
+ * @param {String} answer - Model answer
+ * @param {Number} passageCount - Number of passages offered to the model
+ * @return {Array} Zero-based indices of cited passages, in order of first citation
+ */
+function findCitedPassages(answer, passageCount) {
+  const cited = [];
+  const markerRegex = /\[(\d+)\]/g;
+  let match;
+
+  while ((match = markerRegex.exec(answer)) !== null) {
+    const index = parseInt(match[1]) - 1;
+    if (index >= 0 && index < passageCount && !cited.includes(index)) {
+      cited.push(index);
+    }
+  }
+
+  return cited;
+}
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Log function invocation to help with debugging
+    console.log("RAG API called:", new Date().toISOString());
+
+    // Check that the example store is configured; the gateway checks the provider keys
+    const storage = getStorage();
+    const configError = storage.checkConfig();
+    if (configError) {
+      console.error(`ERROR: ${storage.name} storage is not configured: ${configError}`);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(500).json({
+        error: 'Configuration error',
+        message: configError
+      });
+      return;
+    }
+
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({
+        error: 'Invalid JSON in request body',
+        message: parseError.message
+      });
+      return;
+    }
+
+    // Validate the query parameter
+    if (!requestBody || !requestBody.query) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: 'Missing required parameter: query' });
+      return;
+    }
+
+    // Get the query and optional parameters
+    const query = requestBody.query;
+    const collName = resolveCollectionName(requestBody.collectionName);
+    const maxResults = parseMaxResults(requestBody.maxResults, 5);
+    const model = requestBody.model || DEFAULT_RAG_MODEL;
+    const mode = requestBody.mode || 'text';
+
+    if (!RETRIEVAL_MODES.includes(mode)) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid mode: ${mode}. Expected one of: ${RETRIEVAL_MODES.join(', ')}` });
+      return;
+    }
+    if (!collName) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid collectionName. Expected one of: ${getSearchableCollections().join(', ')}` });
+      return;
+    }
+    if (maxResults === null) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: 'Invalid maxResults: expected a number' });
+      return;
+    }
+    // Same allowlist as the chat routes (utilities/chat-schema.js)
+    if (typeof model !== 'string' || !getModel(model)) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Invalid model: ${model} is not an allowed model` });
+      return;
+    }
+
+    console.log(`RAG query: "${query.substring(0, 100)}${query.length > 100 ? '...' : ''}"`,
+                `Collection: ${collName}, Max results: ${maxResults}, Mode: ${mode}, Model: ${model}`);
+
+    // Retrieve passages the same way /api/kag does
+    const documents = await storage.search(query, { mode, maxResults, collectionName: collName });
+
+    console.log(`Found ${documents.length} matching passages`);
+
+    // Nothing to ground on - don't let the model answer from its own knowledge
+    if (documents.length === 0) {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.status(200).json({
+        answer: "I could not find anything relevant to your question in the knowledge base.",
+        sources: []
+      });
+      return;
+    }
+
+    const passages = documents.map(passageText);
+
+    // Sent through the gateway like /api/chat: retries, fallback models and provider routing
+    const completionRequest = {
+      model: model,
+      messages: [
+        { role: "system", content: buildGroundedPrompt(passages) },
+        { role: "user", content: query }
+      ],
+      temperature: 0.2,
+      max_tokens: 2048
+    };
+    assertValidChatRequest(completionRequest);
+
+    const data = await chatCompletion(completionRequest);
+    const performance = data.performance || {};
+    if (!performance.cache_hit) {
+      await req.rateLimit.recordUsage(performance.usage);
+    }
+    const answer = data.choices && data.choices[0] && data.choices[0].message
+      ? data.choices[0].message.content.trim()
+      : "";
+
+    // Return the cited passages; if the model cited nothing, return everything it was shown
+    let citedIndices = findCitedPassages(answer, passages.length);
+    if (citedIndices.length === 0) {
+      citedIndices = passages.map((_, index) => index);
+    }
+
+    const sources = citedIndices.map(index => ({
+      id: index + 1,
+      text: passages[index],
+      citation: formatSourceCitation(documents[index]) || undefined,
+      score: documents[index].score
+    }));
+
+    // Send back the results
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({
+      answer: answer,
+      sources: sources,
+      performance: {
+        ...performance,
+        passages_retrieved: passages.length
+      }
+    });
+
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (error instanceof GatewayError) {
+      res.status(error.status).json(error.body);
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}));
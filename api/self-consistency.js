@@ -0,0 +1,128 @@
+// api/self-consistency.js
+// Self-consistency reasoning: N drafts sampled in parallel, final answer by
+// majority vote (utilities/self-consistency.js)
+//
+// POST /api/self-consistency
+// {
+//   "messages": [{ "role": "user", "content": "..." }],   conversation, required
+//   "samples": 5,                   drafts to sample (1-10, default: 5)
+//   "temperature": 0.7,             sampling temperature of the drafts (default: 0.7)
+//   "draftMethod": "cot",           prompt of each draft: cot or cod (default: cot)
+//   "codWordLimit": 5, "selfReflection": false,   CoD settings of the drafts
+//   "model": "...", "max_tokens": 1024, ...       passed on to the LLM gateway
+// }
+// Conversations that start with a system message are sent as they are.
+// Streaming is not supported: the vote needs every draft, so "stream": true gets a 400.
+//
+// Returns { answer, content, agreement, votes: [{ answer, count, drafts }],
+//           drafts: [{ content, thinking, answer, usage } | { error }], usage, cost, prompt }
+
+const { GatewayError, assertValidChatRequest } = require('../utilities/llm-gateway');
+const { DEFAULT_COD_WORD_LIMIT, buildChatMessages } = require('../utilities/prompt-builder');
+const { MAX_SAMPLES, DEFAULT_TEMPERATURE, runSelfConsistency } = require('../utilities/self-consistency');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+const { DEFAULT_MODEL } = require('../utilities/model-registry');
+const DRAFT_METHODS = ['cot', 'cod'];
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Parse request body
+    let requestBody;
+    try {
+      requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+    } catch (parseError) {
+      console.error("Failed to parse request body:", parseError);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({
+        error: 'Invalid JSON in request body',
+        message: parseError.message
+      });
+      return;
+    }
+
+    const {
+      messages,
+      samples,
+      temperature,
+      draftMethod = 'cot',
+      codWordLimit = DEFAULT_COD_WORD_LIMIT,
+      selfReflection = false,
+      stream,
+      ...completionOptions
+    } = requestBody;
+
+    let validationError = null;
+    if (!Array.isArray(messages) || messages.length === 0) {
+      validationError = 'Missing required parameter: messages';
+    } else if (!DRAFT_METHODS.includes(draftMethod)) {
+      validationError = `Invalid draftMethod: ${draftMethod}. Expected one of: ${DRAFT_METHODS.join(', ')}`;
+    } else if (samples !== undefined && !(parseInt(samples) >= 1 && parseInt(samples) <= MAX_SAMPLES)) {
+      validationError = `Invalid samples: ${samples}. Expected a number from 1 to ${MAX_SAMPLES}`;
+    } else if (temperature !== undefined && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+      validationError = `Invalid temperature: ${temperature}. Expected a number from 0 to 2`;
+    } else if (stream) {
+      validationError = 'Streaming is not supported for self-consistency; send the request without "stream"';
+    }
+    if (validationError) {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    // Clients that built their own prompt send it as the first message
+    let draftMessages = messages;
+    let reasoningInfo = 'CUSTOM';
+    if (messages[0].role !== 'system') {
+      const built = buildChatMessages({
+        messages,
+        reasoningMethod: draftMethod,
+        codWordLimit: parseInt(codWordLimit) || DEFAULT_COD_WORD_LIMIT,
+        selfReflection: !!selfReflection
+      });
+      draftMessages = built.messages;
+      reasoningInfo = built.reasoningInfo;
+    }
+
+    // Every draft is this request; it must pass the same checks as the proxies' requests
+    const draftRequest = { ...completionOptions, model: completionOptions.model || DEFAULT_MODEL, messages: draftMessages };
+    assertValidChatRequest({ ...draftRequest, temperature: temperature !== undefined ? temperature : DEFAULT_TEMPERATURE });
+
+    const result = await runSelfConsistency(draftRequest, { samples, temperature });
+    // Every draft counts against the token quota
+    await req.rateLimit.recordUsage(result.usage);
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({
+      ...result,
+      prompt: {
+        reasoning_method: 'self-consistency',
+        draft_method: draftMethod,
+        reasoning_info: reasoningInfo
+      }
+    });
+
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (error instanceof GatewayError) {
+      res.status(error.status).json(error.body);
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}));
@@ -0,0 +1,118 @@
+// api/threads.js
+// Server-side conversation threads so they can be synced between browsers
+//
+//   GET    /api/threads                  list threads (?since=<ISO date>&includeMessages=true)
+//   GET    /api/threads/:id              get one thread with its messages
+//   POST   /api/threads                  create a thread { id, name, messages }
+//   POST   /api/threads/:id/messages     append/merge messages { messages }
+//   PATCH  /api/threads/:id              rename { name, nameUpdatedAt }
+//   DELETE /api/threads/:id              delete
+//
+// Threads belong to the authenticated user (see utilities/auth.js); with
+// AUTH_DISABLED all threads belong to one shared "anonymous" user.
+//
+// A thread holds at most THREAD_MAX_MESSAGES messages (default 500) of at most
+// THREAD_MAX_MESSAGE_BYTES each (default 24 KB); larger writes get a 413.
+
+const {
+  ThreadStoreError,
+  listThreads,
+  getThread,
+  createThread,
+  appendMessages,
+  renameThread,
+  deleteThread
+} = require('../utilities/thread-store');
+const { withAuth, requestUser } = require('../utilities/auth');
+
+const ALLOWED_METHODS = 'GET, POST, PATCH, DELETE, OPTIONS';
+
+module.exports = withAuth(async (req, res) => {
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', ALLOWED_METHODS);
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Log function invocation to help with debugging
+    console.log("Threads API called:", req.method, new Date().toISOString());
+
+    if (!process.env.MONGODB_URI) {
+      console.error("ERROR: MONGODB_URI environment variable is not set");
+      res.setHeader('Content-Type', 'application/json');
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'MongoDB connection string is not configured'
+      });
+      return;
+    }
+
+    const query = req.query || {};
+    const userId = requestUser(req);
+
+    // Parse request body
+    let requestBody = {};
+    if (req.method === 'POST' || req.method === 'PATCH') {
+      try {
+        requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+      } catch (parseError) {
+        console.error("Failed to parse request body:", parseError);
+        res.setHeader('Content-Type', 'application/json');
+        res.status(400).json({
+          error: 'Invalid JSON in request body',
+          message: parseError.message
+        });
+        return;
+      }
+    }
+
+    const threadId = query.id;
+    let status = 200;
+    let responseData;
+
+    if (req.method === 'GET') {
+      if (threadId) {
+        responseData = { thread: await getThread(userId, threadId) };
+      } else {
+        const threads = await listThreads(userId, {
+          since: query.since,
+          includeMessages: query.includeMessages === 'true'
+        });
+        responseData = { threads: threads, count: threads.length, serverTime: new Date().toISOString() };
+      }
+    } else if (req.method === 'POST' && threadId && query.action === 'messages') {
+      responseData = { thread: await appendMessages(userId, threadId, requestBody.messages) };
+    } else if (req.method === 'POST' && !threadId) {
+      responseData = { thread: await createThread(userId, requestBody) };
+      status = 201;
+    } else if (req.method === 'PATCH' && threadId) {
+      responseData = { thread: await renameThread(userId, threadId, requestBody.name, requestBody.nameUpdatedAt) };
+    } else if (req.method === 'DELETE' && threadId) {
+      responseData = await deleteThread(userId, threadId);
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Unsupported operation: ${req.method} ${req.url}` });
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(status).json(responseData);
+
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (error instanceof ThreadStoreError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}, { methods: ALLOWED_METHODS });
@@ -0,0 +1,102 @@
+// api/word-limits.js
+// Adaptive CoD word limits: a bandit per problem category picks the limit
+// and learns from thumbs up/down and token usage (utilities/word-limit-bandit)
+//
+//   GET    /api/word-limits                 stats (?category=complex for one category)
+//   POST   /api/word-limits/choose          choose a limit { category } -> { decision } (decision.id names it below)
+//   POST   /api/word-limits/usage           record tokens { decisionId, completionTokens }
+//   POST   /api/word-limits/feedback        record a vote { decisionId, feedback: "up"|"down"|null }
+//
+// Decisions belong to the authenticated user who requested them; only they
+// can report usage and vote on them.
+
+const {
+  WordLimitBanditError,
+  getStats,
+  selectWordLimit,
+  recordUsage,
+  recordFeedback
+} = require('../utilities/word-limit-bandit');
+const { withAuth } = require('../utilities/auth');
+const { withRateLimit } = require('../utilities/rate-limit');
+
+const ALLOWED_METHODS = 'GET, POST, OPTIONS';
+
+module.exports = withAuth(withRateLimit(async (req, res) => {
+  if (!['GET', 'POST'].includes(req.method)) {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', ALLOWED_METHODS);
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  try {
+    // Log function invocation to help with debugging
+    console.log("Word limits API called:", req.method, new Date().toISOString());
+
+    if (!process.env.MONGODB_URI) {
+      console.error("ERROR: MONGODB_URI environment variable is not set");
+      res.setHeader('Content-Type', 'application/json');
+      res.status(500).json({
+        error: 'Configuration error',
+        message: 'MongoDB connection string is not configured'
+      });
+      return;
+    }
+
+    // Parse request body
+    let requestBody = {};
+    if (req.method === 'POST') {
+      try {
+        requestBody = (typeof req.body === 'string' ? JSON.parse(req.body) : req.body) || {};
+      } catch (parseError) {
+        console.error("Failed to parse request body:", parseError);
+        res.setHeader('Content-Type', 'application/json');
+        res.status(400).json({
+          error: 'Invalid JSON in request body',
+          message: parseError.message
+        });
+        return;
+      }
+    }
+
+    const query = req.query || {};
+    const voter = req.auth.subject;
+    let responseData;
+
+    if (req.method === 'GET') {
+      const stats = await getStats(query.category);
+      responseData = { stats: stats, count: stats.length };
+    } else if (query.action === 'choose') {
+      const decision = await selectWordLimit(requestBody.category, voter);
+      console.log(`Word limit for ${decision.category}: ${decision.limit} (${decision.reason})`);
+      responseData = { decision };
+    } else if (query.action === 'usage') {
+      responseData = await recordUsage(requestBody.decisionId, requestBody.completionTokens, voter);
+    } else if (query.action === 'feedback') {
+      responseData = await recordFeedback(requestBody.decisionId, requestBody.feedback, voter);
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.status(400).json({ error: `Unsupported operation: ${req.method} ${req.url}` });
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json(responseData);
+
+  } catch (error) {
+    res.setHeader('Content-Type', 'application/json');
+
+    if (error instanceof WordLimitBanditError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}), { methods: ALLOWED_METHODS });
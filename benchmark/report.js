@@ -0,0 +1,67 @@
+// benchmark/report.js
+// Markdown version of a benchmark report
+
+// Table cells can't contain pipes or line breaks
+function cell(value) {
+  return String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 1)}…` : text;
+}
+
+function formatResult(result) {
+  if (result.error) return `error: ${truncate(result.error, 60)}`;
+  return `${result.correct ? '✓' : '✗'} ${truncate(result.answer, 60)}`;
+}
+
+/**
+ * Formats a benchmark report as Markdown: summary table first, then the
+ * items on which the variants disagree
+ * @param {Object} report - Report written by run-benchmark.js
+ * @return {String} Markdown
+ */
+function formatMarkdownReport(report) {
+  const lines = [];
+
+  lines.push(`# Benchmark: ${report.dataset}`);
+  lines.push('');
+  lines.push(`Model: \`${report.model}\`, temperature ${report.temperature}, max_tokens ${report.maxTokens}, ${report.items.length} items, ${report.createdAt}`);
+  lines.push('');
+  if (report.selfConsistency) {
+    lines.push(`Self-consistency: ${report.selfConsistency.samples} CoT drafts per item at temperature ${report.selfConsistency.temperature}, majority vote; tokens and cost are the totals of all drafts`);
+    lines.push('');
+  }
+  lines.push('| Variant | Accuracy | Mean output tokens | Mean total tokens | Mean thinking words | Mean latency | Cost | Errors |');
+  lines.push('|---|---:|---:|---:|---:|---:|---:|---:|');
+  report.summary.forEach(row => {
+    const approx = row.estimatedTokens ? '~' : '';
+    lines.push(`| ${cell(row.variant)} | ${(row.accuracy * 100).toFixed(1)}% | ${approx}${Math.round(row.meanCompletionTokens)} | ${approx}${Math.round(row.meanTotalTokens)} | ${Math.round(row.meanThinkingWords)} | ${Math.round(row.meanLatencyMs)} ms | ${row.totalCostUsd === null ? 'n/a' : `$${row.totalCostUsd.toFixed(4)}`} | ${row.errors} |`);
+  });
+  if (report.summary.some(row => row.estimatedTokens)) {
+    lines.push('');
+    lines.push('~ token counts are partly estimated because the provider did not report usage.');
+  }
+
+  const diffs = report.items.filter(item => item.diff);
+  lines.push('');
+  lines.push(`## Per-item differences (${diffs.length} of ${report.items.length})`);
+  lines.push('');
+
+  if (diffs.length === 0) {
+    lines.push('All variants agree on every item.');
+  } else {
+    lines.push(`| Item | Question | Gold | ${report.variants.map(cell).join(' | ')} |`);
+    lines.push(`|---|---|---|${report.variants.map(() => '---').join('|')}|`);
+    diffs.forEach(item => {
+      const results = report.variants.map(variant => cell(formatResult(item.results[variant])));
+      lines.push(`| ${cell(item.id)} | ${cell(truncate(item.question, 80))} | ${cell(item.gold)} | ${results.join(' | ')} |`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  formatMarkdownReport
+};
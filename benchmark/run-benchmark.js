@@ -0,0 +1,307 @@
+// benchmark/run-benchmark.js
+// Runs a question/answer dataset through every chosen reasoning method and
+// compares accuracy, tokens and latency (CoD vs CoT vs standard, and
+// self-consistency voting over CoT drafts).
+//
+// The dataset is JSONL with one { "question": ..., "answer": ... } per line.
+// GSM8K-style answers ("... #### 72") are supported; "id" is optional.
+//
+// Usage: node benchmark/run-benchmark.js <dataset.jsonl> [options]
+//   --methods=<list>       standard,cot,cod,self-consistency (default: standard,cot,cod)
+//   --cod-limits=<list>    CoD words per step to try (default: 5,10,15)
+//   --model=<model>        model or provider/model (default: BENCHMARK_MODEL or llama-v3p3-70b)
+//                          use --model=mock to run offline against the mock provider
+//   --limit=<n>            only the first n items
+//   --temperature=<t>      sampling temperature (default: 0)
+//   --max-tokens=<n>       max_tokens per request (default: 1024)
+//   --out=<dir>            where to write the reports (default: benchmark/results)
+//   --use-cache            allow answers from the response cache (skews latency)
+//   --self-reflection      add the reflection step to CoD prompts
+//   --adaptive             use the enhanced prompts for problems that look complex
+//   --classifier=<name>    complexity classifier for --adaptive: feature or llm (default: feature)
+//   --sc-samples=<n>       drafts per question for self-consistency (default: 5)
+//   --sc-temperature=<t>   sampling temperature of the drafts (default: 0.7)
+//
+// Writes <out>/benchmark-<timestamp>.json and .md and prints the summary.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { chatCompletion } = require('../utilities/llm-gateway');
+const { buildChatMessages } = require('../utilities/prompt-builder');
+const { classifyComplexity, getClassifierNames } = require('../utilities/complexity');
+const { DEFAULT_SAMPLES, MAX_SAMPLES, runSelfConsistency } = require('../utilities/self-consistency');
+const { processBotMessage, goldAnswer, answersMatch } = require('../utilities/answer-extraction');
+const { formatMarkdownReport } = require('./report');
+
+const args = process.argv.slice(2);
+const DATASET_PATH = args.find(arg => !arg.startsWith('--'));
+
+// Helper function to read --name=value options
+function getOption(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.substring(prefix.length) : defaultValue;
+}
+
+function getListOption(name, defaultValue) {
+  return getOption(name, defaultValue).split(',').map(value => value.trim()).filter(Boolean);
+}
+
+const METHODS = getListOption('methods', 'standard,cot,cod');
+const COD_LIMITS = getListOption('cod-limits', '5,10,15').map(limit => parseInt(limit));
+const MODEL = getOption('model', process.env.BENCHMARK_MODEL || 'accounts/fireworks/models/llama-v3p3-70b-instruct');
+const LIMIT = parseInt(getOption('limit', '0'));
+const TEMPERATURE = parseFloat(getOption('temperature', '0'));
+const MAX_TOKENS = parseInt(getOption('max-tokens', '1024'));
+const OUT_DIR = getOption('out', path.join(__dirname, 'results'));
+const USE_CACHE = args.includes('--use-cache');
+const SELF_REFLECTION = args.includes('--self-reflection');
+const ADAPTIVE = args.includes('--adaptive');
+const CLASSIFIER = getOption('classifier', 'feature');
+const SC_SAMPLES = parseInt(getOption('sc-samples', String(DEFAULT_SAMPLES)));
+const SC_TEMPERATURE = parseFloat(getOption('sc-temperature', '0.7'));
+
+// Validate inputs
+if (!DATASET_PATH) {
+  console.error('Please provide the path to a JSONL dataset as an argument');
+  console.error('Example: node benchmark/run-benchmark.js benchmark/datasets/sample.jsonl --model=mock');
+  process.exit(1);
+}
+
+if (!fs.existsSync(DATASET_PATH)) {
+  console.error(`File not found: ${DATASET_PATH}`);
+  process.exit(1);
+}
+
+const unknownMethods = METHODS.filter(method => !['standard', 'cot', 'cod', 'self-consistency'].includes(method));
+if (unknownMethods.length > 0) {
+  console.error(`Unknown reasoning method(s): ${unknownMethods.join(', ')}. Expected standard, cot, cod or self-consistency`);
+  process.exit(1);
+}
+
+if (isNaN(SC_SAMPLES) || SC_SAMPLES < 1 || SC_SAMPLES > MAX_SAMPLES) {
+  console.error(`--sc-samples must be a number from 1 to ${MAX_SAMPLES}`);
+  process.exit(1);
+}
+
+if (!getClassifierNames().includes(CLASSIFIER)) {
+  console.error(`Unknown complexity classifier: ${CLASSIFIER}. Expected ${getClassifierNames().join(' or ')}`);
+  process.exit(1);
+}
+
+if (COD_LIMITS.some(limit => isNaN(limit) || limit < 1)) {
+  console.error('--cod-limits must be a comma separated list of positive numbers');
+  process.exit(1);
+}
+
+// One variant per method, and one per word limit for CoD
+function getVariants() {
+  const variants = [];
+  METHODS.forEach(method => {
+    if (method === 'cod') {
+      COD_LIMITS.forEach(limit => variants.push({ name: `cod-${limit}`, method, codWordLimit: limit }));
+    } else {
+      variants.push({ name: method, method });
+    }
+  });
+  return variants;
+}
+
+async function readDataset(filePath) {
+  const items = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      console.warn(`Skipping line ${lineNumber}: ${error.message}`);
+      continue;
+    }
+
+    const question = record.question || record.input;
+    const answer = record.answer !== undefined ? record.answer : record.output;
+    if (!question || answer === undefined) {
+      console.warn(`Skipping line ${lineNumber}: question and answer are required`);
+      continue;
+    }
+
+    items.push({ id: record.id !== undefined ? String(record.id) : String(lineNumber), question, gold: goldAnswer(answer) });
+    if (LIMIT && items.length >= LIMIT) break;
+  }
+  return items;
+}
+
+// Self-consistency samples CoT drafts and scores the majority answer; tokens
+// and cost are the totals of all drafts
+async function runSelfConsistencyItem(item, messages) {
+  const startTime = Date.now();
+  try {
+    const result = await runSelfConsistency(
+      { model: MODEL, messages, max_tokens: MAX_TOKENS },
+      { samples: SC_SAMPLES, temperature: SC_TEMPERATURE }
+    );
+    const answer = result.answer || result.content || '';
+    const thinkingWords = result.drafts
+      .filter(draft => !draft.error)
+      .map(draft => processBotMessage(draft.content, 'cot').thinkingWordCount);
+
+    return {
+      answer: answer.trim(),
+      correct: answersMatch(answer, item.gold),
+      completionTokens: result.usage.completion_tokens,
+      totalTokens: result.usage.total_tokens,
+      estimatedTokens: result.usage.estimated,
+      costUsd: result.cost ? result.cost.total_usd : null,
+      latencyMs: Date.now() - startTime,
+      thinkingWordCount: thinkingWords.reduce((sum, count) => sum + count, 0),
+      agreement: result.agreement,
+      votes: result.votes.map(vote => ({ answer: vote.answer, count: vote.count }))
+    };
+  } catch (error) {
+    return { error: error.message, correct: false, latencyMs: Date.now() - startTime };
+  }
+}
+
+// Runs one item with one variant; failures are recorded instead of stopping the run
+async function runItem(item, variant) {
+  const selfConsistency = variant.method === 'self-consistency';
+  const { messages } = buildChatMessages({
+    messages: [{ role: 'user', content: item.question }],
+    reasoningMethod: selfConsistency ? 'cot' : variant.method,
+    codWordLimit: variant.codWordLimit,
+    selfReflection: SELF_REFLECTION,
+    adaptive: ADAPTIVE,
+    complexity: item.complexity
+  });
+
+  if (selfConsistency) {
+    return runSelfConsistencyItem(item, messages);
+  }
+
+  const startTime = Date.now();
+  try {
+    const data = await chatCompletion({
+      model: MODEL,
+      messages,
+      temperature: TEMPERATURE,
+      max_tokens: MAX_TOKENS,
+      cache: USE_CACHE
+    });
+    const latencyMs = Date.now() - startTime;
+
+    const content = (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '';
+    const processed = processBotMessage(content, variant.method);
+    // Without a recognizable answer section the whole reply is checked
+    const answer = processed.answer || content;
+    const usage = (data.performance && data.performance.usage) || {};
+
+    return {
+      answer: answer.trim(),
+      correct: answersMatch(answer, item.gold),
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+      estimatedTokens: !!usage.estimated,
+      costUsd: data.performance && data.performance.cost ? data.performance.cost.total_usd : null,
+      latencyMs,
+      thinkingWordCount: processed.thinkingWordCount
+    };
+  } catch (error) {
+    return { error: error.message, correct: false, latencyMs: Date.now() - startTime };
+  }
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function summarize(variants, items) {
+  return variants.map(variant => {
+    const results = items.map(item => item.results[variant.name]);
+    const answered = results.filter(result => !result.error);
+    const costs = answered.map(result => result.costUsd).filter(cost => typeof cost === 'number');
+
+    return {
+      variant: variant.name,
+      items: results.length,
+      errors: results.length - answered.length,
+      accuracy: results.length ? results.filter(result => result.correct).length / results.length : 0,
+      meanCompletionTokens: mean(answered.map(result => result.completionTokens)),
+      meanTotalTokens: mean(answered.map(result => result.totalTokens)),
+      meanLatencyMs: mean(answered.map(result => result.latencyMs)),
+      meanThinkingWords: mean(answered.map(result => result.thinkingWordCount)),
+      totalCostUsd: costs.length === answered.length ? costs.reduce((sum, cost) => sum + cost, 0) : null,
+      estimatedTokens: answered.some(result => result.estimatedTokens)
+    };
+  });
+}
+
+async function runBenchmark() {
+  const variants = getVariants();
+  const items = await readDataset(DATASET_PATH);
+  if (items.length === 0) {
+    console.error(`No usable items in ${DATASET_PATH}`);
+    process.exit(1);
+  }
+
+  console.log(`Benchmarking ${items.length} items x ${variants.length} variants (${variants.map(v => v.name).join(', ')}) on ${MODEL}`);
+  console.time('Benchmark time');
+
+  for (const [index, item] of items.entries()) {
+    item.results = {};
+    // Classified once per item so every variant sees the same rating
+    if (ADAPTIVE) {
+      item.complexity = await classifyComplexity(item.question, { classifier: CLASSIFIER });
+    }
+    for (const variant of variants) {
+      item.results[variant.name] = await runItem(item, variant);
+    }
+
+    // Items on which the variants disagree are the interesting ones
+    const outcomes = variants.map(variant => item.results[variant.name].correct);
+    item.diff = outcomes.some(outcome => outcome !== outcomes[0]);
+
+    console.log(`[${index + 1}/${items.length}] ${item.id}: ${variants
+      .map(variant => `${variant.name}=${item.results[variant.name].error ? 'error' : item.results[variant.name].correct ? 'ok' : 'wrong'}`)
+      .join(' ')}`);
+  }
+
+  console.timeEnd('Benchmark time');
+
+  const report = {
+    dataset: path.basename(DATASET_PATH),
+    model: MODEL,
+    temperature: TEMPERATURE,
+    maxTokens: MAX_TOKENS,
+    selfReflection: SELF_REFLECTION,
+    adaptive: ADAPTIVE,
+    classifier: ADAPTIVE ? CLASSIFIER : undefined,
+    selfConsistency: METHODS.includes('self-consistency') ? { samples: SC_SAMPLES, temperature: SC_TEMPERATURE } : undefined,
+    createdAt: new Date().toISOString(),
+    variants: variants.map(variant => variant.name),
+    summary: summarize(variants, items),
+    items: items
+  };
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const baseName = path.join(OUT_DIR, `benchmark-${report.createdAt.replace(/[:.]/g, '-')}`);
+  const markdown = formatMarkdownReport(report);
+  fs.writeFileSync(`${baseName}.json`, JSON.stringify(report, null, 2));
+  fs.writeFileSync(`${baseName}.md`, markdown);
+
+  console.log('');
+  console.log(markdown.split('\n## ')[0].trim());
+  console.log('');
+  console.log(`Reports written to ${baseName}.json and ${baseName}.md`);
+}
+
+runBenchmark().catch(error => {
+  console.error('Benchmark failed:', error);
+  process.exit(1);
+});
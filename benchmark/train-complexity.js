@@ -0,0 +1,163 @@
+// benchmark/train-complexity.js
+// Fits the feature-based complexity classifier (utilities/complexity) to
+// benchmark reports written by run-benchmark.js.
+//
+// A question counts as complex when CoD at the smallest word limit in the
+// report got it wrong. Each complexity level then recommends the median of
+// the smallest word limit that answered its questions correctly.
+//
+// Usage: node benchmark/train-complexity.js <report.json> [more reports...] [options]
+//   --out=<file>           where to write the model (default: benchmark/results/complexity-model.json)
+//   --epochs=<n>           gradient descent passes (default: 2000)
+//   --learning-rate=<r>    step size (default: 0.1)
+//
+// Use the model by setting COMPLEXITY_MODEL_PATH to the written file.
+
+const fs = require('fs');
+const path = require('path');
+const {
+  FEATURE_NAMES,
+  DEFAULT_MODEL,
+  countFeatures,
+  scaleFeatures,
+  scoreFeatures,
+  classify
+} = require('../utilities/complexity/feature-classifier');
+
+const args = process.argv.slice(2);
+const REPORT_PATHS = args.filter(arg => !arg.startsWith('--'));
+
+// Helper function to read --name=value options
+function getOption(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.substring(prefix.length) : defaultValue;
+}
+
+const OUT_PATH = getOption('out', path.join(__dirname, 'results', 'complexity-model.json'));
+const EPOCHS = parseInt(getOption('epochs', '2000'));
+const LEARNING_RATE = parseFloat(getOption('learning-rate', '0.1'));
+const L2_PENALTY = 0.001;
+
+if (REPORT_PATHS.length === 0) {
+  console.error('Please provide one or more benchmark report JSON files as arguments');
+  console.error('Example: node benchmark/train-complexity.js benchmark/results/benchmark-*.json');
+  process.exit(1);
+}
+
+// Training examples from one report: { question, hard, neededLimit }
+function examplesFromReport(report, reportPath) {
+  const codVariants = report.variants
+    .filter(name => /^cod-\d+$/.test(name))
+    .map(name => ({ name, limit: parseInt(name.substring(4)) }))
+    .sort((a, b) => a.limit - b.limit);
+
+  if (codVariants.length === 0) {
+    console.warn(`Skipping ${reportPath}: no CoD variants`);
+    return [];
+  }
+
+  const baseline = codVariants[0].name;
+  return report.items
+    .filter(item => item.results && item.results[baseline] && !item.results[baseline].error)
+    .map(item => {
+      const solvedBy = codVariants.find(variant => item.results[variant.name] && item.results[variant.name].correct);
+      return {
+        question: item.question,
+        hard: !item.results[baseline].correct,
+        // Nothing solved it: the largest limit is the best guess
+        neededLimit: solvedBy ? solvedBy.limit : codVariants[codVariants.length - 1].limit
+      };
+    });
+}
+
+// Logistic regression by batch gradient descent
+function train(examples) {
+  const rows = examples.map(example => ({ features: scaleFeatures(countFeatures(example.question)), label: example.hard ? 1 : 0 }));
+  const model = { ...DEFAULT_MODEL, weights: { ...DEFAULT_MODEL.weights } };
+
+  for (let epoch = 0; epoch < EPOCHS; epoch++) {
+    const gradient = {};
+    FEATURE_NAMES.forEach(name => { gradient[name] = 0; });
+    let biasGradient = 0;
+
+    rows.forEach(row => {
+      const error = scoreFeatures(row.features, model) - row.label;
+      FEATURE_NAMES.forEach(name => { gradient[name] += error * row.features[name]; });
+      biasGradient += error;
+    });
+
+    FEATURE_NAMES.forEach(name => {
+      model.weights[name] -= LEARNING_RATE * (gradient[name] / rows.length + L2_PENALTY * model.weights[name]);
+    });
+    model.bias -= LEARNING_RATE * biasGradient / rows.length;
+  }
+
+  const correct = rows.filter(row => (scoreFeatures(row.features, model) >= 0.5 ? 1 : 0) === row.label).length;
+  return { model, accuracy: rows.length ? correct / rows.length : 0 };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
+// Word limit per complexity level from the questions the trained model puts there
+function fitWordLimits(examples, model) {
+  const neededByLevel = { simple: [], normal: [], complex: [] };
+  examples.forEach(example => {
+    neededByLevel[classify(example.question, model).complexity].push(example.neededLimit);
+  });
+
+  const wordLimits = {};
+  Object.keys(neededByLevel).forEach(level => {
+    wordLimits[level] = neededByLevel[level].length ? median(neededByLevel[level]) : DEFAULT_MODEL.wordLimits[level];
+  });
+  return { wordLimits, counts: Object.fromEntries(Object.entries(neededByLevel).map(([level, values]) => [level, values.length])) };
+}
+
+function trainComplexityModel() {
+  const examples = [];
+  REPORT_PATHS.forEach(reportPath => {
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    examples.push(...examplesFromReport(report, reportPath));
+  });
+
+  if (examples.length === 0) {
+    console.error('No usable items in the reports');
+    process.exit(1);
+  }
+
+  const hardCount = examples.filter(example => example.hard).length;
+  console.log(`Training on ${examples.length} items (${hardCount} complex) from ${REPORT_PATHS.length} report(s)`);
+  if (hardCount === 0 || hardCount === examples.length) {
+    console.warn('All items have the same label; the model will only learn the bias');
+  }
+
+  const { model, accuracy } = train(examples);
+  const { wordLimits, counts } = fitWordLimits(examples, model);
+
+  const output = {
+    weights: Object.fromEntries(FEATURE_NAMES.map(name => [name, Math.round(model.weights[name] * 10000) / 10000])),
+    bias: Math.round(model.bias * 10000) / 10000,
+    thresholds: model.thresholds,
+    wordLimits,
+    trainedOn: {
+      reports: REPORT_PATHS.map(reportPath => path.basename(reportPath)),
+      items: examples.length,
+      complexItems: hardCount,
+      accuracy: Math.round(accuracy * 1000) / 1000,
+      levels: counts,
+      createdAt: new Date().toISOString()
+    }
+  };
+
+  fs.mkdirSync(path.dirname(OUT_PATH), { recursive: true });
+  fs.writeFileSync(OUT_PATH, JSON.stringify(output, null, 2));
+
+  console.log(`Training accuracy: ${(accuracy * 100).toFixed(1)}%`);
+  console.log(`Word limits: ${JSON.stringify(wordLimits)} (items per level: ${JSON.stringify(counts)})`);
+  console.log(`Model written to ${OUT_PATH}; set COMPLEXITY_MODEL_PATH to use it`);
+}
+
+trainComplexityModel();
@@ -1,18 +1,72 @@
-import-to-mongodb.js
+// data-import/import-to-mongodb.js
+// Imports examples into MongoDB from JSONL, JSON, CSV, Markdown or plain text.
+//
+// JSONL/JSON/CSV records map to { input, output } examples. Markdown and text
+// documents are split into chunks; each chunk keeps its source file, heading
+// path and character offset in `metadata` so search results can cite them.
+//
+// The import is idempotent and resumable:
+// - every record is validated and upserted on a hash of its content,
+//   so re-running the same file never creates duplicates
+// - rejected records are written to <file>.errors.jsonl
+// - the position of the last committed batch is kept in
+//   <file>.checkpoint.json, so a crashed import continues where it stopped
+//
+// Usage: node import-to-mongodb.js <file> [options]
+//   --restart                 ignore any checkpoint and import the whole file
+//   --format=<name>           jsonl, json, csv, markdown or text (default: from extension)
+//   --input-field=<name>      field/column holding the input (default: input)
+//   --output-field=<name>     field/column holding the output (default: output)
+//   --delimiter=<char>        CSV delimiter (default: ,)
+//   --chunk-size=<chars>      maximum chunk length for documents (default: 1200)
+//   --chunk-overlap=<chars>   overlap between consecutive chunks (default: 200)
+//   --no-heading-split        don't start new chunks at Markdown headings
+
 const { MongoClient } = require('mongodb');
 const fs = require('fs');
-const readline = require('readline');
-const path = require('path');
+const { getEmbeddingProvider, exampleEmbeddingText } = require('../utilities/embeddings');
+const { validateExample, contentHash } = require('../utilities/example-schema');
+const { DEFAULT_CHUNK_OPTIONS } = require('../utilities/chunker');
+const { detectFormat, readRecords } = require('./readers');
 
 // Configuration
 const MONGODB_URI = process.env.MONGODB_URI || 'your_connection_string_here';
 const DB_NAME = 'kag-database';
 const COLLECTION_NAME = 'examples';
-const FILE_PATH = process.argv[2]; // Pass file path as command line argument
+const args = process.argv.slice(2);
+const FILE_PATH = args.find(arg => !arg.startsWith('--')); // Pass file path as command line argument
+// Ignore any checkpoint and import the whole file again
+const RESTART = args.includes('--restart');
+// Embeddings for vector/hybrid retrieval; provider comes from EMBEDDING_PROVIDER
+const SKIP_EMBEDDINGS = process.env.SKIP_EMBEDDINGS === 'true';
+const BATCH_SIZE = 1000; // Adjust based on your document size
+
+const CHECKPOINT_PATH = `${FILE_PATH}.checkpoint.json`;
+const ERRORS_PATH = `${FILE_PATH}.errors.jsonl`;
+
+// Helper function to read --name=value options
+function getOption(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.substring(prefix.length) : defaultValue;
+}
+
+const FORMAT = getOption('format', FILE_PATH ? detectFormat(FILE_PATH) : null);
+const READER_OPTIONS = {
+  format: FORMAT,
+  inputField: getOption('input-field', 'input'),
+  outputField: getOption('output-field', 'output'),
+  delimiter: getOption('delimiter', ','),
+  chunk: {
+    maxChars: parseInt(getOption('chunk-size', DEFAULT_CHUNK_OPTIONS.maxChars)),
+    overlap: parseInt(getOption('chunk-overlap', DEFAULT_CHUNK_OPTIONS.overlap)),
+    headingAware: !args.includes('--no-heading-split')
+  }
+};
 
 // Validate inputs
 if (!FILE_PATH) {
-  console.error('Please provide the path to your JSONL file as an argument');
+  console.error('Please provide the path to the file to import as an argument');
   console.error('Example: node import-to-mongodb.js ./data/examples.jsonl');
   process.exit(1);
 }
@@ -22,131 +76,234 @@ if (!fs.existsSync(FILE_PATH)) {
   process.exit(1);
 }
 
+if (!FORMAT) {
+  console.error(`Cannot tell the format of ${FILE_PATH}; pass --format=jsonl|json|csv|markdown|text`);
+  process.exit(1);
+}
+
 async function importData() {
-  console.log(`Importing data from ${FILE_PATH} to MongoDB...`);
+  console.log(`Importing ${FORMAT} data from ${FILE_PATH} to MongoDB...`);
   console.log(`MongoDB URI: ${MONGODB_URI.replace(/\/\/([^:]+):([^@]+)@/, '//***:***@')}`); // Hide credentials in logs
-  
+
   const client = new MongoClient(MONGODB_URI);
-  
+
   try {
     await client.connect();
     console.log('Connected to MongoDB');
-    
+
     const db = client.db(DB_NAME);
     const collection = db.collection(COLLECTION_NAME);
-    
-    // Check if collection exists and has data
-    const count = await collection.countDocuments();
-    if (count > 0) {
-      console.log(`Collection already contains ${count} documents`);
-      const answer = await promptUser('Collection is not empty. Do you want to proceed and add more documents? (y/n): ');
-      if (answer.toLowerCase() !== 'y') {
-        console.log('Import cancelled');
-        return;
-      }
-    }
-    
+
     // Create text index for searching
     console.log('Creating text index on input and output fields...');
-    await collection.createIndex({ 
-      "input": "text", 
-      "output": "text" 
-    }, { 
+    await collection.createIndex({
+      "input": "text",
+      "output": "text"
+    }, {
       name: "search_index",
       weights: {
         input: 10,    // Input text is more important for matching
         output: 5     // Output text is still relevant but less so
       }
     });
-    
-    // Process the file
-    const fileStream = fs.createReadStream(FILE_PATH);
-    const rl = readline.createInterface({
-      input: fileStream,
-      crlfDelay: Infinity
-    });
 
-    let lineCount = 0;
-    let importedCount = 0;
-    let errorCount = 0;
+    // The content hash is the upsert key. Documents imported before hashes
+    // existed have none; the partial filter keeps them out of the unique index.
+    const contentHashIndex = {
+      name: "content_hash_index",
+      unique: true,
+      partialFilterExpression: { contentHash: { $exists: true } }
+    };
+    try {
+      await collection.createIndex({ contentHash: 1 }, contentHashIndex);
+    } catch (error) {
+      // IndexOptionsConflict: an earlier import created the index without the filter
+      if (error.code !== 85) throw error;
+      console.log('Recreating the content hash index with a partial filter...');
+      await collection.dropIndex(contentHashIndex.name);
+      await collection.createIndex({ contentHash: 1 }, contentHashIndex);
+    }
+
+    // Index the embedding model so vector search only scans compatible vectors
+    await collection.createIndex({ embeddingModel: 1 }, { name: "embedding_model_index" });
+
+    const embeddingProvider = SKIP_EMBEDDINGS ? null : getEmbeddingProvider();
+    if (embeddingProvider) {
+      console.log(`Embedding examples with provider: ${embeddingProvider.id}`);
+    } else {
+      console.log('Skipping embeddings (vector and hybrid retrieval will not find these documents)');
+    }
+
+    // Resume from the last checkpoint unless asked to start over
+    const checkpoint = RESTART ? null : loadCheckpoint();
+    const stats = checkpoint ? checkpoint.stats : { records: 0, inserted: 0, updated: 0, skipped: 0, invalid: 0 };
+    let position = checkpoint ? checkpoint.position : 0;
+
+    if (checkpoint) {
+      console.log(`Resuming from position ${position} (record ${stats.records}) using ${CHECKPOINT_PATH}`);
+    } else if (fs.existsSync(ERRORS_PATH)) {
+      // Fresh import: start a new errors file
+      fs.unlinkSync(ERRORS_PATH);
+    }
+
     let batch = [];
-    const BATCH_SIZE = 1000; // Adjust based on your document size
-    
+    let rejected = [];
+
     console.log('Starting import...');
     console.time('Import time');
-    
-    for await (const line of rl) {
-      lineCount++;
-      
-      if (line.trim() === '') continue;
-      
-      try {
-        const doc = JSON.parse(line);
-        
-        // Add metadata fields if needed
-        doc.importedAt = new Date();
-        
-        batch.push(doc);
-        
-        // Process in batches for better performance
-        if (batch.length >= BATCH_SIZE) {
-          await collection.insertMany(batch);
-          importedCount += batch.length;
-          batch = [];
-          
-          // Progress log
-          if (importedCount % 5000 === 0) {
-            console.log(`Imported ${importedCount} documents so far...`);
-          }
-        }
-      } catch (err) {
-        errorCount++;
-        console.error(`Error on line ${lineCount}: ${err.message}`);
-        
-        if (errorCount > 100) {
-          console.error('Too many errors, aborting import');
-          break;
-        }
+
+    // Writes the batch and its rejected records, then moves the checkpoint past them
+    async function commit(endPosition) {
+      if (batch.length > 0) {
+        await embedBatch(collection, batch, embeddingProvider);
+        const result = await upsertBatch(collection, batch);
+        stats.inserted += result.inserted;
+        stats.updated += result.updated;
+        stats.skipped += result.skipped;
       }
+
+      if (rejected.length > 0) {
+        fs.appendFileSync(ERRORS_PATH, rejected.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      }
+
+      position = endPosition;
+      saveCheckpoint(position, stats);
+
+      batch = [];
+      rejected = [];
     }
 
-    // Insert remaining documents
-    if (batch.length > 0) {
-      await collection.insertMany(batch);
-      importedCount += batch.length;
+    for await (const item of readRecords(FILE_PATH, position, READER_OPTIONS)) {
+      if (!item.skip) {
+        stats.records++;
+
+        const errors = item.error ? [item.error] : validateExample(item.record);
+        if (errors.length > 0) {
+          stats.invalid++;
+          rejected.push({
+            record: stats.records,
+            errors: errors,
+            raw: item.raw !== undefined ? item.raw : JSON.stringify(item.record)
+          });
+        } else {
+          item.record.contentHash = contentHash(item.record);
+          batch.push(item.record);
+        }
+      }
+
+      // Process in batches for better performance
+      if (batch.length >= BATCH_SIZE) {
+        await commit(item.position);
+
+        // Progress log
+        console.log(`Processed ${stats.records} records so far...`);
+      }
+
+      position = item.position;
     }
 
+    // Commit remaining documents
+    await commit(position);
+
+    // The file is fully imported; a re-run should start from the beginning
+    fs.unlinkSync(CHECKPOINT_PATH);
+
     console.timeEnd('Import time');
     console.log(`Import completed:`);
-    console.log(`- Total lines processed: ${lineCount}`);
-    console.log(`- Documents imported: ${importedCount}`);
-    console.log(`- Errors: ${errorCount}`);
-    
+    console.log(`- Total records processed: ${stats.records}`);
+    console.log(`- Inserted: ${stats.inserted}`);
+    console.log(`- Updated: ${stats.updated}`);
+    console.log(`- Skipped (unchanged or duplicate): ${stats.skipped}`);
+    console.log(`- Invalid: ${stats.invalid}${stats.invalid > 0 ? ` (see ${ERRORS_PATH})` : ''}`);
+
     // Verify index creation
     const indexes = await collection.indexes();
     console.log('Collection indexes:');
     console.log(indexes);
-    
+
   } catch (err) {
     console.error('Import failed:', err);
+    console.error(`Re-run the same command to resume from ${CHECKPOINT_PATH}`);
+    process.exitCode = 1;
   } finally {
     await client.close();
     console.log('MongoDB connection closed');
   }
 }
 
-// Helper function to get user input
-function promptUser(question) {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-  });
+// Helper function to load the checkpoint, ignoring one that doesn't fit the file
+function loadCheckpoint() {
+  if (!fs.existsSync(CHECKPOINT_PATH)) {
+    return null;
+  }
 
-  return new Promise(resolve => {
-    rl.question(question, answer => {
-      rl.close();
-      resolve(answer);
-    });
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(CHECKPOINT_PATH, 'utf8'));
+    if (checkpoint.format !== FORMAT || checkpoint.fileSize !== fs.statSync(FILE_PATH).size) {
+      console.warn('Checkpoint does not match the file (file or format changed?), starting over');
+      return null;
+    }
+    return checkpoint;
+  } catch (err) {
+    console.warn(`Ignoring unreadable checkpoint: ${err.message}`);
+    return null;
+  }
+}
+
+// Helper function to save the checkpoint atomically
+function saveCheckpoint(position, stats) {
+  const tempPath = `${CHECKPOINT_PATH}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({
+    format: FORMAT,
+    fileSize: fs.statSync(FILE_PATH).size,
+    position,
+    stats,
+    updatedAt: new Date().toISOString()
+  }));
+  fs.renameSync(tempPath, CHECKPOINT_PATH);
+}
+
+// Helper function to upsert a batch on the content hash
+async function upsertBatch(collection, batch) {
+  const operations = batch.map(doc => ({
+    updateOne: {
+      filter: { contentHash: doc.contentHash },
+      update: {
+        $set: doc,
+        $setOnInsert: { importedAt: new Date() }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = await collection.bulkWrite(operations, { ordered: true });
+
+  return {
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount,
+    // Matched but identical: already imported, or repeated in the file
+    skipped: result.matchedCount - result.modifiedCount
+  };
+}
+
+// Helper function to attach embeddings of the input/output fields to a batch.
+// Examples already embedded with the same provider are not embedded again.
+async function embedBatch(collection, batch, provider) {
+  if (!provider) return;
+
+  const existing = await collection.find(
+    { contentHash: { $in: batch.map(doc => doc.contentHash) }, embeddingModel: provider.id },
+    { projection: { contentHash: 1 } }
+  ).toArray();
+  const embedded = new Set(existing.map(doc => doc.contentHash));
+
+  const missing = batch.filter(doc => !embedded.has(doc.contentHash));
+  if (missing.length === 0) return;
+
+  const embeddings = await provider.embed(missing.map(exampleEmbeddingText));
+  missing.forEach((doc, i) => {
+    doc.embedding = embeddings[i];
+    doc.embeddingModel = provider.id;
   });
 }
 
@@ -0,0 +1,253 @@
+// data-import/readers.js
+// Format readers for the importer. Each reader is an async generator that
+// yields { record, position } or { error, raw, position } for every item,
+// where position is where a resumed import should start after that item
+// (a byte offset for JSONL, an item count for everything else).
+
+const fs = require('fs');
+const path = require('path');
+const { chunkDocument } = require('../utilities/chunker');
+
+const FORMATS_BY_EXTENSION = {
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.json': 'json',
+  '.csv': 'csv',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text'
+};
+
+/**
+ * Picks the reader format from the file extension
+ * @param {String} filePath - File being imported
+ * @return {String|null} Format name or null if unknown
+ */
+function detectFormat(filePath) {
+  return FORMATS_BY_EXTENSION[path.extname(filePath).toLowerCase()] || null;
+}
+
+// Reads a file line by line starting at a byte offset, reporting the byte
+// offset just past each line so the import can be checkpointed
+async function* readLines(filePath, startOffset) {
+  const stream = fs.createReadStream(filePath, { start: startOffset });
+  let pending = Buffer.alloc(0);
+  let offset = startOffset;
+
+  for await (const chunk of stream) {
+    pending = Buffer.concat([pending, chunk]);
+
+    let newline;
+    while ((newline = pending.indexOf(0x0a)) !== -1) {
+      const lineBuffer = pending.subarray(0, newline);
+      offset += newline + 1;
+      pending = pending.subarray(newline + 1);
+      yield { line: lineBuffer.toString('utf8').replace(/\r$/, ''), endOffset: offset };
+    }
+  }
+
+  // Last line without a trailing newline
+  if (pending.length > 0) {
+    offset += pending.length;
+    yield { line: pending.toString('utf8').replace(/\r$/, ''), endOffset: offset };
+  }
+}
+
+// Maps a parsed row/object to an example using the configured field names.
+// Other fields are kept as they are; the source file is added to metadata.
+function toExample(item, options) {
+  const { [options.inputField]: input, [options.outputField]: output, ...rest } = item;
+
+  return {
+    ...rest,
+    input: input,
+    output: output,
+    metadata: {
+      ...(rest.metadata && typeof rest.metadata === 'object' && !Array.isArray(rest.metadata) ? rest.metadata : {}),
+      source: options.source
+    }
+  };
+}
+
+async function* readJsonlFile(filePath, startPosition, options) {
+  for await (const { line, endOffset } of readLines(filePath, startPosition)) {
+    if (line.trim() === '') {
+      yield { skip: true, position: endOffset };
+      continue;
+    }
+
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (err) {
+      yield { error: `invalid JSON: ${err.message}`, raw: line, position: endOffset };
+      continue;
+    }
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      yield { error: 'record must be a JSON object', raw: line, position: endOffset };
+    } else {
+      yield { record: toExample(item, options), position: endOffset };
+    }
+  }
+}
+
+async function* readJsonFile(filePath, startPosition, options) {
+  let items = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+
+  // Accept either a bare array or an object wrapping one, e.g. { "data": [...] }
+  if (!Array.isArray(items)) {
+    const arrayKey = Object.keys(items).find(key => Array.isArray(items[key]));
+    if (!arrayKey) {
+      throw new Error('JSON file must contain an array of records');
+    }
+    items = items[arrayKey];
+  }
+
+  for (let i = startPosition; i < items.length; i++) {
+    const item = items[i];
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      yield { error: 'record must be a JSON object', raw: JSON.stringify(item), position: i + 1 };
+    } else {
+      yield { record: toExample(item, options), position: i + 1 };
+    }
+  }
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, newlines in quotes)
+ * @param {String} text - CSV content
+ * @param {String} delimiter - Field separator
+ * @return {Array} Rows as arrays of strings
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+async function* readCsvFile(filePath, startPosition, options) {
+  const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+  const [header, ...rows] = parseCsv(text, options.delimiter);
+
+  if (!header) {
+    return;
+  }
+
+  const columns = header.map(column => column.trim());
+  ['inputField', 'outputField'].forEach(key => {
+    if (!columns.includes(options[key])) {
+      throw new Error(`CSV column "${options[key]}" not found (columns: ${columns.join(', ')})`);
+    }
+  });
+
+  for (let i = startPosition; i < rows.length; i++) {
+    const item = {};
+    columns.forEach((column, index) => {
+      item[column] = rows[i][index] !== undefined ? rows[i][index] : '';
+    });
+    yield { record: toExample(item, options), position: i + 1 };
+  }
+}
+
+async function* readDocumentFile(filePath, startPosition, options) {
+  const text = await fs.promises.readFile(filePath, 'utf8');
+  const title = path.basename(filePath, path.extname(filePath));
+  const chunks = chunkDocument(text, {
+    ...options.chunk,
+    headingAware: options.format === 'markdown' && options.chunk.headingAware !== false
+  });
+
+  for (let i = startPosition; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    yield {
+      record: {
+        // The heading path works as the "question" the chunk answers
+        input: [title].concat(chunk.headingPath).join(' > '),
+        output: chunk.text,
+        metadata: {
+          source: options.source,
+          headingPath: chunk.headingPath,
+          offset: chunk.offset,
+          chunkIndex: i,
+          chunkCount: chunks.length
+        }
+      },
+      position: i + 1
+    };
+  }
+}
+
+const readers = {
+  jsonl: readJsonlFile,
+  json: readJsonFile,
+  csv: readCsvFile,
+  markdown: readDocumentFile,
+  text: readDocumentFile
+};
+
+/**
+ * Reads records from a file in the given format
+ * @param {String} filePath - File to read
+ * @param {Number} startPosition - Resume position from a checkpoint
+ * @param {Object} options - { format, inputField, outputField, delimiter, chunk }
+ * @return {AsyncGenerator} Items as described at the top of this file
+ */
+function readRecords(filePath, startPosition, options) {
+  const reader = readers[options.format];
+  if (!reader) {
+    throw new Error(`Unsupported format: ${options.format} (expected one of: ${Object.keys(readers).join(', ')})`);
+  }
+
+  return reader(filePath, startPosition, {
+    inputField: 'input',
+    outputField: 'output',
+    delimiter: ',',
+    chunk: {},
+    source: path.basename(filePath),
+    ...options
+  });
+}
+
+module.exports = {
+  detectFormat,
+  readRecords,
+  parseCsv
+};
@@ -0,0 +1,78 @@
+// test/answer-extraction.test.js
+// Splitting replies into reasoning and answer, and matching gold answers
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  countWords,
+  processBotMessage,
+  normalizeAnswer,
+  extractNumber,
+  goldAnswer,
+  answersMatch
+} = require('../utilities/answer-extraction');
+
+describe('processBotMessage', () => {
+  it('splits CoD output at ####', () => {
+    const result = processBotMessage('20 initial. 12 remaining. Reflection: 12 + 8 = 20. #### 8 lollipops', 'cod');
+    assert.strictEqual(result.thinking, '20 initial. 12 remaining. Reflection: 12 + 8 = 20.');
+    assert.strictEqual(result.answer, '8 lollipops');
+    assert.strictEqual(result.hasReflection, true);
+  });
+
+  it('prefers an explicit answer line in CoT output', () => {
+    const result = processBotMessage('Jason starts with 20.\nHe keeps 12.\nAnswer: 8', 'cot');
+    assert.strictEqual(result.thinking, 'Jason starts with 20.\nHe keeps 12.');
+    assert.strictEqual(result.answer, '8');
+  });
+
+  it('finds a conclusion phrase near the end of CoT output', () => {
+    const content = 'Jason had 20 lollipops and now has 12, so he must have given some away. Therefore, he gave 8.';
+    assert.strictEqual(processBotMessage(content, 'cot').answer, 'Therefore, he gave 8.');
+  });
+
+  it('treats standard replies as the answer', () => {
+    const result = processBotMessage('8', 'standard');
+    assert.strictEqual(result.thinking, null);
+    assert.strictEqual(result.answer, '8');
+  });
+
+  it('returns no answer when CoD output has no separator', () => {
+    assert.strictEqual(processBotMessage('20 - 12 = 8', 'cod').answer, null);
+  });
+});
+
+describe('answer matching', () => {
+  it('counts equations and fractions as one word', () => {
+    assert.strictEqual(countWords('Used: x = 2/9 of 45'), 4);
+    assert.strictEqual(countWords('```code block```'), 0);
+  });
+
+  it('normalizes lead-in phrases, units and case', () => {
+    assert.strictEqual(normalizeAnswer('The answer is: 25 Meters.'), '25');
+    assert.strictEqual(normalizeAnswer(''), '');
+  });
+
+  it('reads the last number, ignoring thousands separators', () => {
+    assert.strictEqual(extractNumber('From 20 to $1,000.50'), 1000.5);
+    assert.strictEqual(extractNumber('-3°C'), -3);
+    assert.strictEqual(extractNumber('none'), null);
+  });
+
+  it('keeps the result of GSM8K-style gold answers', () => {
+    assert.strictEqual(goldAnswer('20 - 12 = 8\n#### 8'), '8');
+    assert.strictEqual(goldAnswer(95), '95');
+  });
+
+  it('compares numerically when the gold answer has a number', () => {
+    assert.strictEqual(answersMatch('$95.00', '95'), true);
+    assert.strictEqual(answersMatch('1,000 apples', '1000'), true);
+    assert.strictEqual(answersMatch('96', '95'), false);
+    assert.strictEqual(answersMatch(null, '95'), false);
+  });
+
+  it('compares normalized text otherwise', () => {
+    assert.strictEqual(answersMatch('The answer is: Paris.', 'paris'), true);
+    assert.strictEqual(answersMatch('London', 'Paris'), false);
+  });
+});
@@ -0,0 +1,70 @@
+// test/benchmark.test.js
+// The benchmark runner end to end against the mock provider
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const ROOT = path.join(__dirname, '..');
+const DATASET = path.join(ROOT, 'benchmark', 'datasets', 'sample.jsonl');
+
+describe('benchmark runner', () => {
+  let outDir;
+  let report;
+  let markdown;
+
+  before(async () => {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-'));
+    await promisify(execFile)(process.execPath, [
+      path.join(ROOT, 'benchmark', 'run-benchmark.js'),
+      DATASET,
+      '--model=mock',
+      '--limit=3',
+      '--methods=standard,cod,self-consistency',
+      '--cod-limits=5,10',
+      '--sc-samples=3',
+      `--out=${outDir}`
+    ], {
+      cwd: ROOT,
+      // Every variant answers 8, which is right for the first item only
+      env: { ...process.env, MOCK_RESPONSE: '20 - 12 = 8. #### 8' },
+      timeout: 60000
+    });
+
+    const files = fs.readdirSync(outDir);
+    report = JSON.parse(fs.readFileSync(path.join(outDir, files.find(file => file.endsWith('.json'))), 'utf8'));
+    markdown = fs.readFileSync(path.join(outDir, files.find(file => file.endsWith('.md'))), 'utf8');
+  });
+
+  after(() => {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it('runs every item through every variant', () => {
+    assert.strictEqual(report.model, 'mock');
+    assert.deepStrictEqual(report.variants, ['standard', 'cod-5', 'cod-10', 'self-consistency']);
+    assert.strictEqual(report.items.length, 3);
+    report.items.forEach(item => {
+      assert.deepStrictEqual(Object.keys(item.results), report.variants);
+    });
+  });
+
+  it('scores the extracted answers against the gold answers', () => {
+    report.summary.forEach(variant => {
+      assert.strictEqual(variant.errors, 0);
+      assert.strictEqual(variant.accuracy, 1 / 3);
+    });
+    assert.strictEqual(report.items[0].results['cod-5'].answer, '8');
+    assert.strictEqual(report.items[0].results['cod-5'].correct, true);
+    assert.strictEqual(report.items[1].results['cod-5'].correct, false);
+  });
+
+  it('writes a Markdown report', () => {
+    assert.match(markdown, /^# Benchmark: sample\.jsonl/);
+    assert.match(markdown, /\| cod-10 \| 33\.3% \|/);
+  });
+});
@@ -0,0 +1,47 @@
+// test/complexity.test.js
+// The LLM classifier reports the tokens it spends and caps the question it sends
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { classify } = require('../utilities/complexity/llm-classifier');
+
+const MOCK_ENV = {
+  ENABLE_MOCK_MODEL: 'true',
+  RESPONSE_CACHE: 'memory',
+  MOCK_RESPONSE: '{"complexity":"simple","estimatedSteps":1,"recommendedWordLimit":5,"confidence":0.9}'
+};
+
+describe('llm classifier', () => {
+  const saved = {};
+
+  before(() => {
+    Object.keys(MOCK_ENV).forEach(name => {
+      saved[name] = process.env[name];
+      process.env[name] = MOCK_ENV[name];
+    });
+  });
+
+  after(() => {
+    Object.keys(MOCK_ENV).forEach(name => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  });
+
+  it('returns the rating with the usage of the completion', async () => {
+    const result = await classify('What is 2 + 2?', { model: 'mock' });
+    assert.strictEqual(result.complexity, 'simple');
+    assert.ok(result.usage.total_tokens > 0);
+  });
+
+  it('truncates long questions before the call', async () => {
+    const short = await classify('a'.repeat(4000), { model: 'mock' });
+    assert.ok(short.usage);
+    // Cut to the same request, the long question is answered from the cache
+    const long = await classify('a'.repeat(4000) + 'b'.repeat(100000), { model: 'mock' });
+    assert.strictEqual(long.usage, null);
+  });
+});
@@ -0,0 +1,41 @@
+// test/llm-gateway.test.js
+// The gateway's fallback chain only uses models of the registry
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { getModelChain, GatewayError } = require('../utilities/llm-gateway');
+const { getModels } = require('../utilities/model-registry');
+
+const [PRIMARY, FALLBACK] = Object.keys(getModels());
+
+describe('getModelChain', () => {
+  const savedFallbacks = process.env.LLM_FALLBACK_MODELS;
+
+  afterEach(() => {
+    if (savedFallbacks === undefined) {
+      delete process.env.LLM_FALLBACK_MODELS;
+    } else {
+      process.env.LLM_FALLBACK_MODELS = savedFallbacks;
+    }
+  });
+
+  it('puts the requested model first and drops duplicates', () => {
+    assert.deepStrictEqual(getModelChain({ model: PRIMARY, fallbackModels: [FALLBACK, PRIMARY, FALLBACK] }), [PRIMARY, FALLBACK]);
+  });
+
+  it('rejects request fallbacks that are not in the registry', () => {
+    ['attacker/model', 'constructor', 42].forEach(model => {
+      assert.throws(() => getModelChain({ model: PRIMARY, fallbackModels: [FALLBACK, model] }), error => {
+        assert.ok(error instanceof GatewayError);
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(error.canFallback, false);
+        return true;
+      });
+    });
+  });
+
+  it('skips configured fallbacks that are not in the registry', () => {
+    process.env.LLM_FALLBACK_MODELS = `unknown/model, ${FALLBACK},,`;
+    assert.deepStrictEqual(getModelChain({ model: PRIMARY }), [PRIMARY, FALLBACK]);
+  });
+});
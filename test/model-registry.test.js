@@ -0,0 +1,38 @@
+// test/model-registry.test.js
+// Which models the registry allows
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_MODEL, getModel, getModels } = require('../utilities/model-registry');
+
+describe('model registry', () => {
+  const savedFlag = process.env.ENABLE_MOCK_MODEL;
+
+  afterEach(() => {
+    if (savedFlag === undefined) {
+      delete process.env.ENABLE_MOCK_MODEL;
+    } else {
+      process.env.ENABLE_MOCK_MODEL = savedFlag;
+    }
+  });
+
+  it('looks up registered models', () => {
+    assert.strictEqual(getModel(DEFAULT_MODEL).id, DEFAULT_MODEL);
+    assert.strictEqual(getModel('unknown/model'), null);
+  });
+
+  it('does not take inherited properties for models', () => {
+    ['constructor', '__proto__', 'toString'].forEach(name => {
+      assert.strictEqual(getModel(name), null);
+    });
+  });
+
+  it('only allows the mock model with ENABLE_MOCK_MODEL=true', () => {
+    delete process.env.ENABLE_MOCK_MODEL;
+    assert.strictEqual(getModel('mock'), null);
+    assert.ok(!('mock' in getModels()));
+
+    process.env.ENABLE_MOCK_MODEL = 'true';
+    assert.strictEqual(getModel('mock').name, 'Mock (development)');
+  });
+});
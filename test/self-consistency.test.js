@@ -0,0 +1,59 @@
+// test/self-consistency.test.js
+// Majority voting over self-consistency drafts
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { extractFinalAnswer, voteKey, tallyVotes } = require('../utilities/self-consistency');
+
+describe('extractFinalAnswer', () => {
+  it('uses the text after ####', () => {
+    assert.deepStrictEqual(extractFinalAnswer('20 - 12 = 8. #### 8'), { thinking: '20 - 12 = 8.', answer: '8' });
+  });
+
+  it('falls back to the CoT conclusion', () => {
+    assert.strictEqual(extractFinalAnswer('He had 20 and kept 12.\nAnswer: 8').answer, '8');
+  });
+});
+
+describe('voteKey', () => {
+  it('gives numeric answers with different wording the same key', () => {
+    assert.strictEqual(voteKey('8 lollipops'), voteKey('8'));
+    assert.strictEqual(voteKey('$1,000'), '1000');
+  });
+
+  it('keeps decimals apart', () => {
+    assert.strictEqual(voteKey('3.5 hours'), '3.5');
+    assert.notStrictEqual(voteKey('3.5'), voteKey('35'));
+  });
+
+  it('normalizes text answers', () => {
+    assert.strictEqual(voteKey('Paris.'), voteKey('paris'));
+  });
+
+  it('is empty without an answer', () => {
+    assert.strictEqual(voteKey(null), '');
+  });
+});
+
+describe('tallyVotes', () => {
+  it('puts the largest group first and skips drafts without an answer', () => {
+    const votes = tallyVotes([
+      { answer: '9' },
+      { answer: '8 lollipops' },
+      { answer: null },
+      { answer: '8' }
+    ]);
+    assert.deepStrictEqual(votes.map(vote => [vote.key, vote.count, vote.drafts]), [['8', 2, [1, 3]], ['9', 1, [0]]]);
+    // The answer as written by the first draft with it
+    assert.strictEqual(votes[0].answer, '8 lollipops');
+  });
+
+  it('breaks ties in favour of the earlier answer', () => {
+    const votes = tallyVotes([{ answer: '12' }, { answer: '8' }]);
+    assert.strictEqual(votes[0].key, '12');
+  });
+
+  it('returns no votes when no draft has an answer', () => {
+    assert.deepStrictEqual(tallyVotes([{ error: 'timeout' }, { answer: '' }]), []);
+  });
+});
@@ -0,0 +1,139 @@
+// test/storage.test.js
+// Example stores without a database: the in-memory and JSONL adapters
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryAdapter } = require('../utilities/storage/memory-adapter');
+const { createJsonlAdapter, readJsonl } = require('../utilities/storage/jsonl-adapter');
+const { getStorage, resolveCollectionName } = require('../utilities/storage');
+
+const EXAMPLES = [
+  { input: 'How many lollipops did Jason give to Denny?', output: '20 - 12 = 8. #### 8' },
+  { input: 'What is the area of a square with a perimeter of 20 cm?', output: 'Side 5 cm. Area 25. #### 25' },
+  { input: 'How much money does Roger have now?', output: '125 - 55 + 25 = 95. #### 95' }
+];
+
+describe('memory adapter', () => {
+  it('finds inserted documents with text search', async () => {
+    const storage = createMemoryAdapter();
+    assert.deepStrictEqual(await storage.insert(EXAMPLES), { insertedCount: 3 });
+    assert.strictEqual(await storage.count(), 3);
+
+    const results = await storage.search('square perimeter area', { maxResults: 1 });
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].input, EXAMPLES[1].input);
+    assert.match(results[0]._id, /^[0-9a-f]{24}$/);
+  });
+
+  it('keeps collections apart', async () => {
+    const storage = createMemoryAdapter();
+    await storage.insert(EXAMPLES, { collectionName: 'math' });
+    assert.strictEqual(await storage.count({ collectionName: 'math' }), 3);
+    assert.strictEqual(await storage.count({ collectionName: 'other' }), 0);
+  });
+
+  it('rejects unknown retrieval modes', async () => {
+    await assert.rejects(createMemoryAdapter().search('x', { mode: 'fuzzy' }), /Unknown retrieval mode/);
+  });
+});
+
+describe('jsonl adapter', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsonl-adapter-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps the ids of inserted documents after a reload', async () => {
+    const storage = createJsonlAdapter({ dataDir });
+    await storage.insert(EXAMPLES, { collectionName: 'reload' });
+    const before = await storage.search('lollipops Jason Denny', { collectionName: 'reload', maxResults: 1 });
+
+    const reloaded = createJsonlAdapter({ dataDir });
+    const after = await reloaded.search('lollipops Jason Denny', { collectionName: 'reload', maxResults: 1 });
+    assert.strictEqual(await reloaded.count({ collectionName: 'reload' }), 3);
+    assert.match(before[0]._id, /^[0-9a-f]{24}$/);
+    assert.strictEqual(after[0]._id, before[0]._id);
+  });
+
+  it('keeps ids given by the caller', async () => {
+    const storage = createJsonlAdapter({ dataDir });
+    await storage.insert([{ _id: 'roger', ...EXAMPLES[2] }], { collectionName: 'given' });
+
+    const docs = readJsonl(path.join(dataDir, 'given.jsonl'), 'given');
+    assert.deepStrictEqual(docs.map(doc => doc._id), ['roger']);
+  });
+
+  it('skips invalid lines and numbers records without an id', () => {
+    const filePath = path.join(dataDir, 'handwritten.jsonl');
+    fs.writeFileSync(filePath, [
+      JSON.stringify(EXAMPLES[0]),
+      '{ not json',
+      '',
+      JSON.stringify(EXAMPLES[1])
+    ].join('\n'));
+
+    const docs = readJsonl(filePath, 'handwritten');
+    assert.deepStrictEqual(docs.map(doc => doc._id), ['handwritten:1', 'handwritten:4']);
+  });
+
+  it('rejects collection names that could leave the data directory', async () => {
+    const storage = createJsonlAdapter({ dataDir: path.join(dataDir, 'nested') });
+    fs.mkdirSync(path.join(dataDir, 'nested'));
+    fs.writeFileSync(path.join(dataDir, 'secret.jsonl'), JSON.stringify(EXAMPLES[0]) + '\n');
+
+    for (const collectionName of ['../secret', '..', '.', 'a/b', 'a\\b']) {
+      await assert.rejects(storage.search('lollipops', { collectionName }), /Invalid collection name/);
+      await assert.rejects(storage.insert(EXAMPLES, { collectionName }), /Invalid collection name/);
+      await assert.rejects(storage.count({ collectionName }), /Invalid collection name/);
+    }
+    assert.strictEqual(fs.readFileSync(path.join(dataDir, 'secret.jsonl'), 'utf8').split('\n').length, 2);
+  });
+
+  it('reports a missing data directory', async () => {
+    const storage = createJsonlAdapter({ dataDir: path.join(dataDir, 'missing') });
+    assert.match(storage.checkConfig(), /Data directory not found/);
+    await assert.rejects(storage.ping(), /Data directory not found/);
+  });
+});
+
+describe('getStorage', () => {
+  it('returns one shared adapter per name', async () => {
+    const storage = getStorage('memory');
+    assert.strictEqual(storage.name, 'memory');
+    assert.strictEqual(getStorage('memory'), storage);
+    assert.deepStrictEqual(await storage.ping(), { ok: true, collections: [] });
+  });
+
+  it('rejects unknown adapters', () => {
+    assert.throws(() => getStorage('redis'), /Unknown storage adapter: redis/);
+  });
+});
+
+describe('resolveCollectionName', () => {
+  const saved = { MONGODB_COLLECTION: process.env.MONGODB_COLLECTION, KAG_COLLECTIONS: process.env.KAG_COLLECTIONS };
+
+  after(() => {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  it('only allows the configured collections', () => {
+    process.env.MONGODB_COLLECTION = 'examples';
+    process.env.KAG_COLLECTIONS = 'physics, chemistry';
+    assert.strictEqual(resolveCollectionName(undefined), 'examples');
+    assert.strictEqual(resolveCollectionName('physics'), 'physics');
+    ['threads', 'prompt_templates', 'rate_limits', '../examples', ['physics']].forEach(name => {
+      assert.strictEqual(resolveCollectionName(name), null);
+    });
+  });
+});
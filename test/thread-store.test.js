@@ -0,0 +1,33 @@
+// test/thread-store.test.js
+// Thread writes are checked before anything reaches MongoDB
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ThreadStoreError, listThreads, createThread, appendMessages } = require('../utilities/thread-store');
+
+function rejectsWith(promise, status) {
+  return assert.rejects(promise, error => {
+    assert.ok(error instanceof ThreadStoreError);
+    assert.strictEqual(error.status, status);
+    return true;
+  });
+}
+
+describe('thread store validation', () => {
+  it('rejects invalid dates with a 400', async () => {
+    await rejectsWith(listThreads('user', { since: 'yesterday' }), 400);
+    await rejectsWith(appendMessages('user', 'thread', [{ id: 'm1', sender: 'user', timestamp: 'soon' }]), 400);
+    await rejectsWith(appendMessages('user', 'thread', [{ id: 'm1', sender: 'user', updatedAt: 'never' }]), 400);
+    await rejectsWith(createThread('user', { id: 'thread', nameUpdatedAt: 'later' }), 400);
+  });
+
+  it('limits the size of a message', async () => {
+    const message = { id: 'm1', sender: 'bot', content: 'x'.repeat(100 * 1024) };
+    await rejectsWith(appendMessages('user', 'thread', [message]), 413);
+  });
+
+  it('limits the number of messages in a thread', async () => {
+    const messages = Array.from({ length: 501 }, (_, index) => ({ id: `m${index}`, sender: 'user', content: 'hi' }));
+    await rejectsWith(createThread('user', { id: 'thread', messages }), 413);
+  });
+});
@@ -0,0 +1,185 @@
+// utilities/answer-extraction.js
+// Splits model output into reasoning and final answer and compares answers
+// with a gold answer. Server-side copy of processBotMessage, countWords and
+// normalizeAnswer from index.html; keep the two in step.
+
+// Markers that start a self-reflection step in CoD output
+const REFLECTION_PATTERNS = [
+  /reflection:/i,
+  /reflecting:/i,
+  /let's verify:/i,
+  /verifying:/i,
+  /checking work:/i,
+  /self-check:/i
+];
+
+// Phrases that usually introduce the conclusion of a CoT answer
+const CONCLUSION_MARKERS = [
+  "Therefore", "In conclusion", "So,", "Thus,", "Hence,",
+  "The answer is", "To conclude", "Finally,", "In summary",
+  "As a result", "Consequently", "The final answer"
+];
+
+const ANSWER_MARKERS = [
+  /\n(Answer:|Final answer:)/i,
+  /^(Answer:|Final answer:)/i,
+  /\n(The answer is:|My answer is:|Final answer is:)/i
+];
+
+/**
+ * Counts words the way the UI does: code blocks are ignored and simple
+ * equations and fractions count as one word
+ * @param {String} text - Text to count
+ * @return {Number} Word count
+ */
+function countWords(text) {
+  if (!text) return 0;
+
+  const processedText = text
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/\b\w+\s*=\s*[\d\w+\-*/()]+/g, "EQUATION")
+    .replace(/\b\d+\/\d+\b/g, "FRACTION")
+    .replace(/[+\-*/=<>]+/g, " ");
+
+  return processedText.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+function splitResult(content, thinking, answer, extra = {}) {
+  return {
+    content: content,
+    thinking: thinking,
+    answer: answer,
+    thinkingWordCount: countWords(thinking),
+    answerWordCount: countWords(answer),
+    ...extra
+  };
+}
+
+/**
+ * Splits a reply into reasoning steps and final answer
+ * @param {String} content - Model output
+ * @param {String} reasoningMethod - "standard", "cot" or "cod"
+ * @return {Object} { content, thinking, answer, thinkingWordCount, answerWordCount }
+ */
+function processBotMessage(content, reasoningMethod) {
+  // CoD puts the final answer after ####
+  if (reasoningMethod === "cod") {
+    const separatorIndex = content.indexOf("####");
+    if (separatorIndex !== -1) {
+      const thinking = content.substring(0, separatorIndex).trim();
+      const answer = content.substring(separatorIndex + 4).trim();
+      const hasReflection = REFLECTION_PATTERNS.some(pattern => pattern.test(thinking));
+      return splitResult(content, thinking, answer, { hasReflection });
+    }
+  }
+
+  if (reasoningMethod === "cot") {
+    // An explicit "Answer:" line wins
+    for (const pattern of ANSWER_MARKERS) {
+      const answerMatch = content.match(pattern);
+      if (answerMatch && answerMatch.index !== undefined) {
+        return splitResult(
+          content,
+          content.substring(0, answerMatch.index).trim(),
+          content.substring(answerMatch.index + answerMatch[0].length).trim()
+        );
+      }
+    }
+
+    // Otherwise the last conclusion phrase in the final 40% of the text
+    const startSearchPos = content.length * 0.6;
+    let lastMarkerIndex = -1;
+    for (const marker of CONCLUSION_MARKERS) {
+      const markerIndex = content.indexOf(marker, startSearchPos);
+      if (markerIndex > lastMarkerIndex) {
+        lastMarkerIndex = markerIndex;
+      }
+    }
+    if (lastMarkerIndex > startSearchPos) {
+      return splitResult(content, content.substring(0, lastMarkerIndex).trim(), content.substring(lastMarkerIndex).trim());
+    }
+
+    // Last resort: a short final paragraph
+    const paragraphs = content.split(/\n\s*\n/);
+    if (paragraphs.length > 1) {
+      const lastParagraph = paragraphs[paragraphs.length - 1].trim();
+      if (lastParagraph.length < content.length * 0.3) {
+        return splitResult(content, content.substring(0, content.lastIndexOf(lastParagraph)).trim(), lastParagraph);
+      }
+    }
+  }
+
+  if (reasoningMethod === "standard") {
+    return splitResult(content, null, content);
+  }
+
+  // Unable to separate: everything is reasoning
+  return splitResult(content, content, null);
+}
+
+/**
+ * Normalizes an answer for comparison: drops lead-in phrases, units,
+ * punctuation and case
+ * @param {String} answer - Answer text
+ * @return {String} Normalized answer
+ */
+function normalizeAnswer(answer) {
+  if (!answer) return '';
+
+  let normalized = answer.replace(/^(the answer is|therefore|thus|so|hence|the result is|we get|we find that|the final answer is|the value is|the solution is):\s*/i, "");
+  normalized = normalized.replace(/\b(dollars|inches|feet|meters|pounds|kg|miles|km|years|days|hours|minutes|seconds|percent|degrees|watts|volts|amps|\$|%|°C|°F)\b/gi, "");
+  normalized = normalized.replace(/[.,;:!\s]+/g, " ").trim();
+  return normalized.toLowerCase();
+}
+
+/**
+ * Last number in a text, ignoring thousands separators and currency signs
+ * @param {String} text - Answer text
+ * @return {Number|null} The number, or null if there is none
+ */
+function extractNumber(text) {
+  if (!text) return null;
+  const matches = text.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/g);
+  return matches ? parseFloat(matches[matches.length - 1]) : null;
+}
+
+/**
+ * Gold answer of a dataset record; GSM8K-style answers keep the result after ####
+ * @param {String} answer - Gold answer field
+ * @return {String} Final gold answer
+ */
+function goldAnswer(answer) {
+  const text = String(answer);
+  const separatorIndex = text.lastIndexOf('####');
+  return (separatorIndex === -1 ? text : text.substring(separatorIndex + 4)).trim();
+}
+
+/**
+ * Whether a predicted answer matches the gold answer: numerically when the
+ * gold answer contains a number, otherwise by normalized text
+ * @param {String} predicted - Extracted final answer
+ * @param {String} gold - Gold answer
+ * @return {Boolean} True on a match
+ */
+function answersMatch(predicted, gold) {
+  if (!predicted) return false;
+
+  const goldNumber = extractNumber(gold);
+  if (goldNumber !== null) {
+    const predictedNumber = extractNumber(predicted);
+    return predictedNumber !== null && Math.abs(predictedNumber - goldNumber) < 1e-6;
+  }
+
+  const normalizedGold = normalizeAnswer(gold);
+  const normalizedPredicted = normalizeAnswer(predicted);
+  return normalizedPredicted === normalizedGold || normalizedPredicted.includes(normalizedGold);
+}
+
+module.exports = {
+  countWords,
+  processBotMessage,
+  normalizeAnswer,
+  extractNumber,
+  goldAnswer,
+  answersMatch
+};
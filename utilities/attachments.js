@@ -0,0 +1,238 @@
+// utilities/attachments.js
+// Fits extracted documents (utilities/extractors) into a prompt token budget.
+// A document that fits is attached whole. Larger ones are chunked and the
+// chunks most similar to the user's question are kept, in document order,
+// with "[...]" where text was left out. Without a question the beginning of
+// the document is kept.
+//
+// The budget is shared by all files of a request: small files take what they
+// need and the rest is split evenly among the larger ones.
+//
+// Similarity uses ATTACHMENT_EMBEDDING_PROVIDER (default: "local", see
+// utilities/embeddings.js), so large uploads don't turn into embedding API calls.
+
+const { chunkDocument } = require('./chunker');
+const { getEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+const { estimateTokens } = require('./token-usage');
+
+const CHUNK_MAX_CHARS = 1500;
+const OMISSION_MARKER = '[...]';
+
+// Quotes a table cell when it contains the delimiter, quotes or line breaks
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Text and chunks of an extractor result. Tables become CSV, and every table
+ * chunk starts with the table's header row so it can be read on its own.
+ * @param {Object} extracted - Extractor result ({ text } or { tables })
+ * @return {Object} { text, chunks: [{ text, offset }] }
+ */
+function toChunks(extracted) {
+  if (!extracted.tables) {
+    const text = extracted.text || '';
+    const chunks = chunkDocument(text, {
+      maxChars: CHUNK_MAX_CHARS,
+      // Selected chunks are joined, so they must not repeat each other's text
+      overlap: 0,
+      headingAware: extracted.format === 'markdown'
+    });
+    return { text, chunks };
+  }
+
+  const chunks = [];
+  const parts = [];
+  let offset = 0;
+  extracted.tables.forEach(table => {
+    const [header = [], ...rows] = table.rows;
+    const title = extracted.tables.length > 1 ? `Sheet: ${table.name}\n` : '';
+    const headerLine = header.map(csvCell).join(',');
+    const lines = rows.map(row => row.map(csvCell).join(','));
+    parts.push(title + [headerLine].concat(lines).join('\n'));
+
+    let current = [];
+    const flush = () => {
+      if (current.length === 0) return;
+      const text = `${title}${headerLine}\n${current.join('\n')}`;
+      chunks.push({ text, offset });
+      offset += text.length;
+      current = [];
+    };
+    lines.forEach(line => {
+      if (current.length > 0 && title.length + headerLine.length + current.join('\n').length + line.length > CHUNK_MAX_CHARS) {
+        flush();
+      }
+      current.push(line);
+    });
+    flush();
+  });
+
+  return { text: parts.join('\n\n'), chunks };
+}
+
+/**
+ * Scores chunks by similarity to the question; earlier chunks win ties
+ * @param {Array} chunks - Chunks to score
+ * @param {String} query - The user's question
+ * @return {Promise<Array>} One score per chunk
+ */
+async function scoreChunks(chunks, query) {
+  const positionScores = chunks.map((chunk, index) => -index / chunks.length);
+  if (!query || !query.trim()) {
+    return positionScores;
+  }
+
+  try {
+    const provider = getEmbeddingProvider(process.env.ATTACHMENT_EMBEDDING_PROVIDER || 'local');
+    const [queryVector, ...chunkVectors] = await provider.embed([query].concat(chunks.map(chunk => chunk.text)));
+    // The position only breaks ties between equally similar chunks
+    return chunkVectors.map((vector, index) => cosineSimilarity(queryVector, vector) + positionScores[index] * 1e-6);
+  } catch (error) {
+    console.warn('Scoring attachment chunks failed, keeping the beginning of the document:', error.message);
+    return positionScores;
+  }
+}
+
+/**
+ * Beginning of a chunk that fits the budget, with omission markers around it;
+ * cut at a word boundary where possible
+ * @param {Object} chunk - Ranked chunk ({ text, index, tokens })
+ * @param {Number} tokenBudget - Tokens available for this document
+ * @return {String} Cut text, empty when not even a few words fit
+ */
+function cutChunk(chunk, tokenBudget) {
+  const before = chunk.index > 0 ? `${OMISSION_MARKER}\n\n` : '';
+  const after = `\n\n${OMISSION_MARKER}`;
+  const charsPerToken = chunk.text.length / Math.max(1, chunk.tokens);
+
+  let length = Math.floor(tokenBudget * charsPerToken);
+  while (length > 0) {
+    let cut = chunk.text.substring(0, length);
+    const wordEnd = cut.search(/\s\S*$/);
+    if (wordEnd > length * 0.8) cut = cut.substring(0, wordEnd);
+
+    const text = before + cut.trimEnd() + after;
+    const excess = estimateTokens(text) - tokenBudget;
+    if (excess <= 0) return text;
+    length -= Math.ceil(excess * charsPerToken);
+  }
+  return '';
+}
+
+/**
+ * Picks the best chunks that fit the budget and joins them in document order.
+ * When even the best chunk alone is over the budget, its beginning is used.
+ * @param {Array} chunks - [{ text, offset }]
+ * @param {Array} scores - One score per chunk
+ * @param {Number} tokenBudget - Tokens available for this document
+ * @return {Object} { text, includedChunks }
+ */
+function selectChunks(chunks, scores, tokenBudget) {
+  const ranked = chunks
+    .map((chunk, index) => ({ ...chunk, index, score: scores[index], tokens: estimateTokens(chunk.text) }))
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let used = 0;
+  ranked.forEach(chunk => {
+    // Leaves room for an omission marker between chunks
+    const cost = chunk.tokens + estimateTokens(OMISSION_MARKER) + 1;
+    if (used + cost <= tokenBudget) {
+      selected.push(chunk);
+      used += cost;
+    }
+  });
+
+  if (selected.length === 0 && ranked.length > 0) {
+    const text = cutChunk(ranked[0], tokenBudget);
+    return { text, includedChunks: text ? 1 : 0 };
+  }
+
+  selected.sort((a, b) => a.index - b.index);
+  const pieces = [];
+  selected.forEach((chunk, position) => {
+    const previous = selected[position - 1];
+    if (position === 0 ? chunk.index > 0 : chunk.index > previous.index + 1) {
+      pieces.push(OMISSION_MARKER);
+    }
+    pieces.push(chunk.text);
+  });
+  if (selected.length > 0 && selected[selected.length - 1].index < chunks.length - 1) {
+    pieces.push(OMISSION_MARKER);
+  }
+
+  return { text: pieces.join('\n\n'), includedChunks: selected.length };
+}
+
+/**
+ * Splits a token budget among documents: each gets what it needs up to an
+ * even share of what is left, smallest documents first
+ * @param {Array} sizes - Tokens each document needs
+ * @param {Number} tokenBudget - Total budget
+ * @return {Array} Budget per document
+ */
+function allocateBudgets(sizes, tokenBudget) {
+  const budgets = new Array(sizes.length).fill(0);
+  const order = sizes.map((size, index) => index).sort((a, b) => sizes[a] - sizes[b]);
+  let remaining = tokenBudget;
+
+  order.forEach((index, position) => {
+    const share = Math.floor(remaining / (order.length - position));
+    budgets[index] = Math.min(sizes[index], share);
+    remaining -= budgets[index];
+  });
+  return budgets;
+}
+
+/**
+ * Fits extracted documents into a token budget
+ * @param {Array} documents - Extractor results with { name, format }; entries with `error` are passed through
+ * @param {Object} options - { query, tokenBudget }
+ * @return {Promise<Array>} Per document: { name, format, language, pages, characters, tokens, chunks,
+ *   includedChunks, includedCharacters, includedTokens, truncated, text } or { name, error, status }
+ */
+async function fitAttachments(documents, options) {
+  const prepared = documents.map(document => (document.error ? document : { ...document, ...toChunks(document) }));
+  const valid = prepared.filter(document => !document.error);
+  const budgets = allocateBudgets(valid.map(document => estimateTokens(document.text)), options.tokenBudget);
+
+  const results = [];
+  for (const document of prepared) {
+    if (document.error) {
+      results.push({ name: document.name, error: document.error, status: document.status });
+      continue;
+    }
+
+    const budget = budgets[valid.indexOf(document)];
+    const tokens = estimateTokens(document.text);
+    let text = document.text;
+    let includedChunks = document.chunks.length;
+
+    if (tokens > budget) {
+      const scores = await scoreChunks(document.chunks, options.query);
+      ({ text, includedChunks } = selectChunks(document.chunks, scores, budget));
+    }
+
+    results.push({
+      name: document.name,
+      format: document.format,
+      language: document.language || undefined,
+      pages: document.pages || undefined,
+      characters: document.text.length,
+      tokens,
+      chunks: document.chunks.length,
+      includedChunks,
+      includedCharacters: text.length,
+      includedTokens: estimateTokens(text),
+      truncated: tokens > budget,
+      text
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  fitAttachments
+};
@@ -0,0 +1,283 @@
+// utilities/auth.js
+// Authentication and CORS for the API routes that spend provider credits or
+// hold per-user data (threads, prompts, word limit votes). Those routes take
+// the user from the verified token (req.auth.subject, see requestUser), never
+// from ids the client sends.
+//
+// Clients send `Authorization: Bearer <token>` with either
+//   - an API key issued with admin/create-credentials.js; keys don't expire,
+//     revoke one by adding its id to AUTH_REVOKED_KEYS="id1,id2"
+//   - a session token from POST /api/login, valid for AUTH_SESSION_TTL
+//     seconds (default: 12 hours)
+// Both are <base64url payload>.<base64url signature>, signed with HMAC-SHA256
+// and AUTH_SECRET, so they are checked without a database.
+//
+// Login users come from AUTH_USERS="alice:<salt>:<scrypt hash>,bob:..."
+// (admin/create-credentials.js prints the entries).
+//
+// CORS_ALLOWED_ORIGINS="https://chat.example.com,http://localhost:3000" limits
+// which browser origins may call the API; unset, any origin may.
+//
+// Without AUTH_SECRET every protected request fails with a configuration
+// error. AUTH_DISABLED=true turns authentication off for local development.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_SECONDS = parseInt(process.env.AUTH_SESSION_TTL || '43200');
+// Owner of per-user data (threads, prompts) when authentication is disabled
+const ANONYMOUS_USER = 'anonymous';
+const ALLOWED_HEADERS = 'Content-Type, Authorization';
+
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function listEnv(name) {
+  return (process.env[name] || '').split(',').map(value => value.trim()).filter(Boolean);
+}
+
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+function getSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) {
+    throw new AuthError(500, 'AUTH_SECRET is not configured (set AUTH_DISABLED=true to run without authentication)');
+  }
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Signs a token payload
+ * @param {Object} payload - { typ: "key"|"session", sub, ... }
+ * @return {String} <base64url payload>.<base64url signature>
+ */
+function signToken(payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Checks a token's signature, expiry and revocation
+ * @param {String} token - Token from the Authorization header
+ * @return {Object} The token's payload
+ */
+function verifyToken(token) {
+  const [data, signature, extra] = String(token).split('.');
+  if (!data || !signature || extra !== undefined) {
+    throw new AuthError(401, 'Malformed token');
+  }
+
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new AuthError(401, 'Invalid token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError(401, 'Malformed token');
+  }
+
+  if (payload.typ === 'session') {
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+      throw new AuthError(401, 'Session expired, please log in again');
+    }
+  } else if (payload.typ === 'key') {
+    if (listEnv('AUTH_REVOKED_KEYS').includes(payload.kid)) {
+      throw new AuthError(401, 'API key has been revoked');
+    }
+  } else {
+    throw new AuthError(401, 'Invalid token');
+  }
+  return payload;
+}
+
+/**
+ * Issues an API key
+ * @param {String} subject - Who the key is for
+ * @return {Object} { id (for AUTH_REVOKED_KEYS), key }
+ */
+function issueApiKey(subject) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = signToken({ typ: 'key', sub: subject, kid: id, iat: Math.floor(Date.now() / 1000) });
+  return { id, key };
+}
+
+/**
+ * Issues a session token
+ * @param {String} subject - Logged in user
+ * @return {Object} { token, expiresAt (ISO date) }
+ */
+function issueSession(subject) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + SESSION_TTL_SECONDS;
+  return {
+    token: signToken({ typ: 'session', sub: subject, iat: now, exp }),
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Hashes a password for AUTH_USERS
+ * @param {String} password - Plain text password
+ * @param {String} salt - Hex salt (default: a new random one)
+ * @return {String} <salt>:<hash>
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return `${salt}:${crypto.scryptSync(String(password), salt, 64).toString('hex')}`;
+}
+
+/**
+ * Checks a username and password against AUTH_USERS; hashes off the event loop
+ * @param {String} username - User name
+ * @param {String} password - Plain text password
+ * @return {Promise<Boolean>} Whether they match
+ */
+async function verifyPassword(username, password) {
+  const entry = listEnv('AUTH_USERS')
+    .map(user => user.split(':'))
+    .find(([name]) => name === username);
+
+  // Unknown users are hashed too, so the response time doesn't reveal which names exist
+  const [, salt = '00', hash = ''] = entry || [];
+  const expected = Buffer.from(hash, 'hex');
+  const given = await scrypt(String(password), salt, 64);
+  return !!entry && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Sets the CORS headers of a response
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {String} methods - Allowed methods, e.g. "POST, OPTIONS"
+ * @return {Boolean} false when the request's origin is not allowed
+ */
+function applyCors(req, res, methods) {
+  const allowedOrigins = listEnv('CORS_ALLOWED_ORIGINS');
+  const origin = req.headers && req.headers.origin;
+
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS);
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Max-Age', '86400');
+  // Lets browser clients on other origins read the rate limit headers (utilities/rate-limit)
+  res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy, Retry-After');
+
+  if (allowedOrigins.length === 0) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return true;
+  }
+
+  res.setHeader('Vary', 'Origin');
+  // Requests without an Origin header don't come from a browser page
+  if (!origin) return true;
+  if (!allowedOrigins.includes(origin)) return false;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  return true;
+}
+
+/**
+ * Identifies the caller of a request
+ * @param {Object} req - Request
+ * @return {Object} { type: "key"|"session"|"anonymous", subject, keyId (API keys), expiresAt }
+ */
+function authenticate(req) {
+  if (isAuthDisabled()) {
+    return { type: 'anonymous', subject: null };
+  }
+
+  getSecret();
+  const header = (req.headers && req.headers.authorization) || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    throw new AuthError(401, 'Authentication required: send an API key or session token as "Authorization: Bearer <token>"');
+  }
+
+  const payload = verifyToken(match[1]);
+  return {
+    type: payload.typ,
+    subject: payload.sub,
+    keyId: payload.kid || null,
+    expiresAt: payload.exp ? new Date(payload.exp * 1000).toISOString() : null
+  };
+}
+
+/**
+ * User that a request's per-user data (threads, prompt authorship) belongs to.
+ * Only the verified token counts; ids sent by the client are never used.
+ * @param {Object} req - Request authenticated by withAuth
+ * @return {String} The token's subject, or "anonymous" with AUTH_DISABLED
+ */
+function requestUser(req) {
+  return (req.auth && req.auth.subject) || ANONYMOUS_USER;
+}
+
+/**
+ * Wraps an API handler with CORS and authentication. OPTIONS requests are
+ * answered here; the handler sees the caller as req.auth.
+ * @param {Function} handler - async (req, res) handler
+ * @param {Object} options - { methods (default: "POST, OPTIONS") }
+ * @return {Function} async (req, res) handler
+ */
+function withAuth(handler, options = {}) {
+  const methods = options.methods || 'POST, OPTIONS';
+
+  return async (req, res) => {
+    if (!applyCors(req, res, methods)) {
+      console.warn(`Rejected request from origin ${req.headers.origin}`);
+      res.setHeader('Content-Type', 'application/json');
+      res.status(403).json({ error: 'Origin not allowed' });
+      return;
+    }
+
+    // Handle OPTIONS request for CORS
+    if (req.method === 'OPTIONS') {
+      res.status(204).end();
+      return;
+    }
+
+    try {
+      req.auth = authenticate(req);
+    } catch (error) {
+      if (!(error instanceof AuthError)) throw error;
+      console.warn(`Authentication failed for ${req.url}: ${error.message}`);
+      res.setHeader('Content-Type', 'application/json');
+      if (error.status === 401) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+      }
+      res.status(error.status).json({ error: error.status === 401 ? 'Unauthorized' : 'Configuration error', message: error.message });
+      return;
+    }
+
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  AuthError,
+  isAuthDisabled,
+  signToken,
+  verifyToken,
+  issueApiKey,
+  issueSession,
+  hashPassword,
+  verifyPassword,
+  applyCors,
+  authenticate,
+  requestUser,
+  withAuth
+};
@@ -0,0 +1,147 @@
+// utilities/cache/index.js
+// Optional response cache for completion and retrieval requests.
+//
+// Every backend implements:
+//   get(key)               -> cached value or null
+//   set(key, value, ttlMs) -> false if the value is too large to cache
+//
+// RESPONSE_CACHE selects the backend: "memory" (default), "mongodb" or "off".
+// Limits: RESPONSE_CACHE_TTL_SECONDS (3600), RESPONSE_CACHE_MAX_ENTRIES (500),
+// RESPONSE_CACHE_MAX_BYTES (50 MB) and RESPONSE_CACHE_MAX_ENTRY_BYTES (256 KB).
+//
+// Chat completions are only cached at temperature 0 or when the request opts
+// in with `cache: true`; `cache: false` always bypasses the cache.
+
+const crypto = require('crypto');
+const { createMemoryCache } = require('./memory-cache');
+const { createMongoCache } = require('./mongodb-cache');
+
+const DEFAULT_TTL_SECONDS = 3600;
+
+// Request fields that change a completion; anything else doesn't affect the key
+const CHAT_KEY_FIELDS = [
+  'model', 'messages', 'temperature', 'top_p', 'top_k', 'max_tokens', 'stop', 'n',
+  'presence_penalty', 'frequency_penalty', 'repetition_penalty', 'seed', 'response_format', 'tools'
+];
+
+const backends = {
+  memory: () => createMemoryCache({
+    maxEntries: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES || '500'),
+    maxBytes: parseInt(process.env.RESPONSE_CACHE_MAX_BYTES || String(50 * 1024 * 1024)),
+    maxEntryBytes: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRY_BYTES || String(256 * 1024))
+  }),
+  mongodb: () => createMongoCache({
+    collectionName: process.env.RESPONSE_CACHE_COLLECTION || 'response_cache',
+    maxEntryBytes: parseInt(process.env.RESPONSE_CACHE_MAX_ENTRY_BYTES || String(256 * 1024))
+  })
+};
+
+// One backend per process so the memory cache is shared between requests
+let cachedBackend = null;
+
+/**
+ * Returns the configured cache backend
+ * @return {Object|null} Cache backend, or null when caching is off
+ */
+function getCache() {
+  const backendName = process.env.RESPONSE_CACHE || 'memory';
+  if (backendName === 'off') {
+    return null;
+  }
+
+  if (cachedBackend && cachedBackend.name === backendName) {
+    return cachedBackend;
+  }
+
+  const factory = backends[backendName];
+  if (!factory) {
+    throw new Error(`Unknown response cache backend: ${backendName}`);
+  }
+  cachedBackend = factory();
+  return cachedBackend;
+}
+
+// JSON with sorted object keys, so equal requests always serialize the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Canonical hash used as the cache key
+ * @param {String} namespace - What is cached, e.g. "chat" or "kag"
+ * @param {Object} value - Everything the cached result depends on
+ * @return {String} Key of the form namespace:sha256
+ */
+function cacheKey(namespace, value) {
+  return `${namespace}:${crypto.createHash('sha256').update(canonicalJson(value)).digest('hex')}`;
+}
+
+/**
+ * Cache key for a chat completion request
+ */
+function chatCacheKey(requestBody) {
+  const keyFields = {};
+  CHAT_KEY_FIELDS.forEach(field => {
+    keyFields[field] = requestBody[field];
+  });
+  return cacheKey('chat', keyFields);
+}
+
+/**
+ * Whether a chat completion may be served from / stored in the cache
+ */
+function isChatCacheable(requestBody) {
+  if (requestBody.cache === false) return false;
+  return requestBody.cache === true || Number(requestBody.temperature) === 0;
+}
+
+/**
+ * Reads from the cache; cache failures are logged, never thrown
+ * @return {Object|null} Cached value or null
+ */
+async function readCache(key) {
+  try {
+    const cache = getCache();
+    return cache ? await cache.get(key) : null;
+  } catch (error) {
+    console.warn('Response cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Writes to the cache; cache failures are logged, never thrown
+ */
+async function writeCache(key, value, ttlSeconds) {
+  try {
+    const cache = getCache();
+    if (!cache) return;
+
+    const ttl = ttlSeconds || parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS || String(DEFAULT_TTL_SECONDS));
+    const stored = await cache.set(key, value, ttl * 1000);
+    if (!stored) {
+      console.log(`Response too large to cache (${key})`);
+    }
+  } catch (error) {
+    console.warn('Response cache write failed:', error.message);
+  }
+}
+
+module.exports = {
+  getCache,
+  cacheKey,
+  chatCacheKey,
+  isChatCacheable,
+  readCache,
+  writeCache
+};
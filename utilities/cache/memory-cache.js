@@ -0,0 +1,66 @@
+// utilities/cache/memory-cache.js
+// In-process LRU response cache with TTL, entry-count and byte limits
+
+/**
+ * Creates an in-memory cache
+ * @param {Object} options - { maxEntries, maxBytes, maxEntryBytes }
+ * @return {Object} Cache backend: { name, get, set }
+ */
+function createMemoryCache(options = {}) {
+  const maxEntries = options.maxEntries || 500;
+  const maxBytes = options.maxBytes || 50 * 1024 * 1024;
+  const maxEntryBytes = options.maxEntryBytes || 256 * 1024;
+
+  // Map keeps insertion order, so the first key is the least recently used
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.bytes;
+      entries.delete(key);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      // Move to the most recently used end
+      entries.delete(key);
+      entries.set(key, entry);
+      return JSON.parse(entry.json);
+    },
+
+    async set(key, value, ttlMs) {
+      const json = JSON.stringify(value);
+      const bytes = Buffer.byteLength(json);
+      if (bytes > maxEntryBytes) {
+        return false;
+      }
+
+      remove(key);
+      entries.set(key, { json, bytes, expiresAt: Date.now() + ttlMs });
+      totalBytes += bytes;
+
+      // Evict least recently used entries until both limits hold
+      while (entries.size > maxEntries || totalBytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryCache
+};
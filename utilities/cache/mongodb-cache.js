@@ -0,0 +1,57 @@
+// utilities/cache/mongodb-cache.js
+// Response cache in a MongoDB collection, shared by all function instances.
+// A TTL index removes expired entries; reads also ignore them in between.
+
+const { connectToDatabase } = require('../storage/mongodb-adapter');
+
+/**
+ * Creates a MongoDB-backed cache
+ * @param {Object} options - { collectionName, maxEntryBytes }
+ * @return {Object} Cache backend: { name, get, set }
+ */
+function createMongoCache(options = {}) {
+  const collectionName = options.collectionName || 'response_cache';
+  const maxEntryBytes = options.maxEntryBytes || 256 * 1024;
+  let indexesCreated = false;
+
+  async function getCollection() {
+    const db = await connectToDatabase();
+    const collection = db.collection(collectionName);
+
+    if (!indexesCreated) {
+      await collection.createIndex({ expiresAt: 1 }, { name: 'cache_ttl_index', expireAfterSeconds: 0 });
+      indexesCreated = true;
+    }
+    return collection;
+  }
+
+  return {
+    name: 'mongodb',
+
+    async get(key) {
+      const collection = await getCollection();
+      const entry = await collection.findOne({ _id: key, expiresAt: { $gt: new Date() } });
+      return entry ? JSON.parse(entry.json) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      const json = JSON.stringify(value);
+      const bytes = Buffer.byteLength(json);
+      if (bytes > maxEntryBytes) {
+        return false;
+      }
+
+      const collection = await getCollection();
+      await collection.replaceOne(
+        { _id: key },
+        { json, bytes, createdAt: new Date(), expiresAt: new Date(Date.now() + ttlMs) },
+        { upsert: true }
+      );
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createMongoCache
+};
@@ -0,0 +1,221 @@
+// utilities/chat-schema.js
+// Strict check of every chat completion request a route builds from client
+// input (the proxies, api/chat.js, api/self-consistency.js) before anything
+// goes upstream. Unknown fields are rejected instead of being forwarded, and the
+// model must be in the registry (utilities/model-registry.js), whose limits
+// apply to max_tokens and the prompt size and whose capabilities decide
+// whether image parts, tools and JSON mode may be used.
+
+const { getModel } = require('./model-registry');
+const { estimateMessageTokens } = require('./token-usage');
+
+// Fields a request may have; `cache` and `fallbackModels` are for the gateway
+const ALLOWED_FIELDS = [
+  'model', 'messages', 'max_tokens', 'temperature', 'top_p', 'top_k',
+  'presence_penalty', 'frequency_penalty', 'stop', 'seed', 'response_format',
+  'tools', 'tool_choice', 'stream', 'cache', 'fallbackModels'
+];
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+const MESSAGE_FIELDS = {
+  system: ['role', 'content', 'name'],
+  user: ['role', 'content', 'name'],
+  assistant: ['role', 'content', 'name', 'tool_calls'],
+  tool: ['role', 'content', 'tool_call_id']
+};
+const TOOL_CHOICES = ['none', 'auto', 'required'];
+const MAX_MESSAGES = 500;
+const MAX_STOP_SEQUENCES = 4;
+const RESPONSE_FORMATS = ['text', 'json_object'];
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkNumber(errors, body, field, min, max, integer = false) {
+  const value = body[field];
+  if (value === undefined) return;
+  if (typeof value !== 'number' || !isFinite(value) || (integer && !Number.isInteger(value))) {
+    errors.push({ field, message: `must be ${integer ? 'an integer' : 'a number'}` });
+  } else if (value < min || value > max) {
+    errors.push({ field, message: `must be between ${min} and ${max}` });
+  }
+}
+
+function checkContentPart(errors, part, path, model) {
+  if (!isObject(part)) {
+    errors.push({ field: path, message: 'must be an object' });
+    return;
+  }
+
+  if (part.type === 'text') {
+    if (typeof part.text !== 'string') {
+      errors.push({ field: `${path}.text`, message: 'must be a string' });
+    }
+  } else if (part.type === 'image_url') {
+    if (model && !model.capabilities.vision) {
+      errors.push({ field: path, message: `images are not supported by ${model.id}` });
+    }
+    const url = isObject(part.image_url) ? part.image_url.url : undefined;
+    if (typeof url !== 'string') {
+      errors.push({ field: `${path}.image_url.url`, message: 'must be a string' });
+    } else if (!url.startsWith('https://') && !url.startsWith('data:image/')) {
+      errors.push({ field: `${path}.image_url.url`, message: 'must be an https URL or a data:image/ URL' });
+    }
+  } else {
+    errors.push({ field: `${path}.type`, message: 'must be "text" or "image_url"' });
+  }
+}
+
+function checkMessage(errors, message, path, model) {
+  if (!isObject(message)) {
+    errors.push({ field: path, message: 'must be an object' });
+    return;
+  }
+
+  if (!MESSAGE_ROLES.includes(message.role)) {
+    errors.push({ field: `${path}.role`, message: `must be one of: ${MESSAGE_ROLES.join(', ')}` });
+  } else {
+    Object.keys(message)
+      .filter(key => !MESSAGE_FIELDS[message.role].includes(key))
+      .forEach(key => errors.push({ field: `${path}.${key}`, message: 'is not allowed' }));
+  }
+  if (message.name !== undefined && typeof message.name !== 'string') {
+    errors.push({ field: `${path}.name`, message: 'must be a string' });
+  }
+  if (message.role === 'tool' && typeof message.tool_call_id !== 'string') {
+    errors.push({ field: `${path}.tool_call_id`, message: 'must be a string' });
+  }
+  if (message.tool_calls !== undefined && !Array.isArray(message.tool_calls)) {
+    errors.push({ field: `${path}.tool_calls`, message: 'must be an array' });
+  }
+
+  const content = message.content;
+  if (typeof content === 'string') return;
+  // Assistant messages that only call tools have no content
+  if (content === null && message.role === 'assistant' && Array.isArray(message.tool_calls)) return;
+  if (Array.isArray(content) && message.role === 'user') {
+    if (content.length === 0) {
+      errors.push({ field: `${path}.content`, message: 'must not be empty' });
+    }
+    content.forEach((part, index) => checkContentPart(errors, part, `${path}.content[${index}]`, model));
+    return;
+  }
+  errors.push({
+    field: `${path}.content`,
+    message: message.role === 'user' ? 'must be a string or an array of content parts' : 'must be a string'
+  });
+}
+
+/**
+ * Validates a chat completion request
+ * @param {Object} body - Parsed request body
+ * @return {Array} [{ field, message }] for every problem, empty when the request is valid
+ */
+function validateChatRequest(body) {
+  if (!isObject(body)) {
+    return [{ field: '', message: 'request body must be a JSON object' }];
+  }
+
+  const errors = [];
+  Object.keys(body)
+    .filter(key => !ALLOWED_FIELDS.includes(key))
+    .forEach(key => errors.push({ field: key, message: 'is not allowed' }));
+
+  let model = null;
+  if (typeof body.model !== 'string' || !body.model) {
+    errors.push({ field: 'model', message: 'is required' });
+  } else {
+    model = getModel(body.model);
+    if (!model) {
+      errors.push({ field: 'model', message: `${body.model} is not an allowed model` });
+    }
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    errors.push({ field: 'messages', message: 'must be a non-empty array' });
+  } else if (body.messages.length > MAX_MESSAGES) {
+    errors.push({ field: 'messages', message: `must not have more than ${MAX_MESSAGES} messages` });
+  } else {
+    body.messages.forEach((message, index) => checkMessage(errors, message, `messages[${index}]`, model));
+  }
+
+  checkNumber(errors, body, 'max_tokens', 1, model ? model.maxOutputTokens : Infinity, true);
+  checkNumber(errors, body, 'temperature', 0, 2);
+  checkNumber(errors, body, 'top_p', 0, 1);
+  checkNumber(errors, body, 'top_k', 0, 100, true);
+  checkNumber(errors, body, 'presence_penalty', -2, 2);
+  checkNumber(errors, body, 'frequency_penalty', -2, 2);
+  checkNumber(errors, body, 'seed', Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER, true);
+
+  if (body.stop !== undefined) {
+    const stop = typeof body.stop === 'string' ? [body.stop] : body.stop;
+    if (!Array.isArray(stop) || stop.some(sequence => typeof sequence !== 'string')) {
+      errors.push({ field: 'stop', message: 'must be a string or an array of strings' });
+    } else if (stop.length > MAX_STOP_SEQUENCES) {
+      errors.push({ field: 'stop', message: `must not have more than ${MAX_STOP_SEQUENCES} sequences` });
+    }
+  }
+
+  if (body.response_format !== undefined) {
+    if (!(isObject(body.response_format) && RESPONSE_FORMATS.includes(body.response_format.type))) {
+      errors.push({ field: 'response_format.type', message: `must be one of: ${RESPONSE_FORMATS.join(', ')}` });
+    } else if (body.response_format.type === 'json_object' && model && !model.capabilities.jsonMode) {
+      errors.push({ field: 'response_format.type', message: `JSON mode is not supported by ${model.id}` });
+    }
+  }
+
+  if (body.tools !== undefined) {
+    if (!Array.isArray(body.tools)) {
+      errors.push({ field: 'tools', message: 'must be an array' });
+    } else if (model && !model.capabilities.tools) {
+      errors.push({ field: 'tools', message: `function calling is not supported by ${model.id}` });
+    } else {
+      body.tools.forEach((tool, index) => {
+        if (!isObject(tool) || tool.type !== 'function' || !isObject(tool.function) || typeof tool.function.name !== 'string') {
+          errors.push({ field: `tools[${index}]`, message: 'must be { type: "function", function: { name, ... } }' });
+        }
+      });
+    }
+  }
+  if (body.tool_choice !== undefined && !TOOL_CHOICES.includes(body.tool_choice) &&
+      !(isObject(body.tool_choice) && body.tool_choice.type === 'function')) {
+    errors.push({ field: 'tool_choice', message: `must be one of: ${TOOL_CHOICES.join(', ')}, or a function choice` });
+  }
+
+  ['stream', 'cache'].forEach(field => {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      errors.push({ field, message: 'must be a boolean' });
+    }
+  });
+
+  if (body.fallbackModels !== undefined) {
+    if (!Array.isArray(body.fallbackModels)) {
+      errors.push({ field: 'fallbackModels', message: 'must be an array of model names' });
+    } else {
+      body.fallbackModels.forEach((fallback, index) => {
+        if (typeof fallback !== 'string' || !getModel(fallback)) {
+          errors.push({ field: `fallbackModels[${index}]`, message: `${fallback} is not an allowed model` });
+        }
+      });
+    }
+  }
+
+  // Only checked once the rest is valid, since the estimate needs well-formed messages
+  if (model && errors.length === 0) {
+    const promptTokens = estimateMessageTokens(body.messages);
+    const outputTokens = body.max_tokens || 0;
+    if (promptTokens + outputTokens > model.contextWindow) {
+      errors.push({
+        field: 'messages',
+        message: `are about ${promptTokens} tokens; with max_tokens ${outputTokens} that exceeds the ${model.contextWindow} token context window of ${model.id}`
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ALLOWED_FIELDS,
+  validateChatRequest
+};
@@ -0,0 +1,129 @@
+// utilities/chunker.js
+// Splits Markdown and plain-text documents into overlapping chunks for the example store
+
+const DEFAULT_OPTIONS = {
+  maxChars: 1200,      // Upper bound on chunk length
+  overlap: 200,        // Characters repeated from the end of the previous chunk
+  headingAware: true   // Start a new chunk at each Markdown heading
+};
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+/**
+ * Splits Markdown into sections at headings, tracking the heading path
+ * @param {String} text - Document text
+ * @return {Array} Sections: { headingPath, text, offset }
+ */
+function splitSections(text) {
+  const sections = [];
+  const headingStack = [];
+  let current = { headingPath: [], start: 0 };
+  let offset = 0;
+  let inCodeFence = false;
+
+  text.split('\n').forEach(line => {
+    // Headings inside fenced code blocks are just code
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeFence = !inCodeFence;
+    }
+
+    const match = !inCodeFence && line.match(HEADING_REGEX);
+    if (match) {
+      sections.push({ headingPath: current.headingPath, text: text.substring(current.start, offset), offset: current.start });
+
+      const level = match[1].length;
+      headingStack.length = level - 1;
+      headingStack[level - 1] = match[2];
+      current = { headingPath: headingStack.filter(Boolean), start: offset };
+    }
+
+    offset += line.length + 1;
+  });
+
+  sections.push({ headingPath: current.headingPath, text: text.substring(current.start), offset: current.start });
+  return sections.filter(section => section.text.trim() !== '');
+}
+
+/**
+ * Finds a good place to end a chunk: a paragraph break, then a sentence end,
+ * then whitespace, falling back to a hard cut at maxChars
+ */
+function findBreak(text, start, maxChars) {
+  const hardEnd = start + maxChars;
+  if (hardEnd >= text.length) {
+    return text.length;
+  }
+
+  const window = text.substring(start, hardEnd);
+  const minEnd = Math.floor(maxChars / 2);
+  const candidates = [
+    window.lastIndexOf('\n\n'),
+    Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '), window.lastIndexOf('.\n')) + 1,
+    window.lastIndexOf(' ')
+  ];
+
+  const cut = candidates.find(index => index >= minEnd);
+  return cut !== undefined ? start + cut : hardEnd;
+}
+
+/**
+ * Splits one section into chunks no longer than maxChars with the given overlap
+ */
+function splitSection(section, options) {
+  const chunks = [];
+  const { text } = section;
+  let start = 0;
+
+  while (start < text.length) {
+    const end = findBreak(text, start, options.maxChars);
+    const chunkText = text.substring(start, end).trim();
+
+    if (chunkText) {
+      chunks.push({
+        text: chunkText,
+        headingPath: section.headingPath,
+        offset: section.offset + start
+      });
+    }
+
+    if (end >= text.length) break;
+
+    // Step back for the overlap, but always move forward
+    let next = Math.max(end - options.overlap, start + 1);
+    // Don't start the next chunk in the middle of a word
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) {
+      next = space + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Splits a document into chunks
+ * @param {String} text - Document text (Markdown or plain text)
+ * @param {Object} options - { maxChars, overlap, headingAware }
+ * @return {Array} Chunks: { text, headingPath, offset } where offset is the
+ *                 character position of the chunk in the original document
+ */
+function chunkDocument(text, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+
+  if (settings.overlap >= settings.maxChars) {
+    throw new Error('Chunk overlap must be smaller than the chunk size');
+  }
+
+  const normalized = (text || '').replace(/\r\n?/g, '\n');
+  const sections = settings.headingAware
+    ? splitSections(normalized)
+    : [{ headingPath: [], text: normalized, offset: 0 }];
+
+  return sections.reduce((chunks, section) => chunks.concat(splitSection(section, settings)), []);
+}
+
+module.exports = {
+  chunkDocument,
+  DEFAULT_CHUNK_OPTIONS: DEFAULT_OPTIONS
+};
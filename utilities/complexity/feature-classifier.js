@@ -0,0 +1,162 @@
+// utilities/complexity/feature-classifier.js
+// Local complexity scorer: a logistic model over a few counted features of
+// the question. The default weights are hand-tuned; benchmark/train-complexity.js
+// fits new ones from benchmark reports, loaded through COMPLEXITY_MODEL_PATH.
+
+const fs = require('fs');
+
+const FEATURE_NAMES = ['words', 'numbers', 'operators', 'mathTerms', 'stepCues', 'logicCues', 'sentences'];
+
+// Word-bounded so "and", "or" and "if" inside ordinary sentences no longer count
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)*/g;
+const OPERATOR_PATTERN = /(?<=[\d\s)])[+\-*/×÷^=](?=[\s\d(])/g;
+const MATH_TERM_PATTERN = /\b(?:sin|cos|tan|log|ln|sqrt|exp|integral|derivative|probability|equation|algebra|geometry|calculus|percent(?:age)?|ratio|average|fraction)\b/gi;
+const STEP_CUE_PATTERN = /\b(?:first|then|after|afterwards|next|finally|each|every|per|remaining|left|total|twice|half|times|increases?|decreases?|more than|less than)\b/gi;
+const LOGIC_CUE_PATTERN = /\b(?:therefore|implies|prove|contradiction|premise|conclusion|if and only if|suppose|assume|must be|cannot be)\b/gi;
+
+const DEFAULT_MODEL = {
+  weights: {
+    words: 0.6,
+    numbers: 0.9,
+    operators: 0.5,
+    mathTerms: 0.6,
+    stepCues: 0.8,
+    logicCues: 0.9,
+    sentences: 0.3
+  },
+  bias: -2.5,
+  // Score at or above `complex` is complex, below `simple` is simple
+  thresholds: { simple: 0.3, complex: 0.6 },
+  wordLimits: { simple: 5, normal: 10, complex: 15 }
+};
+
+let cachedModel = null;
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * Counts the features of a question
+ * @param {String} message - The user's question
+ * @return {Object} Raw counts by feature name
+ */
+function countFeatures(message) {
+  const text = message || '';
+  return {
+    words: text.split(/\s+/).filter(Boolean).length,
+    numbers: countMatches(text, NUMBER_PATTERN),
+    operators: countMatches(text, OPERATOR_PATTERN),
+    mathTerms: countMatches(text, MATH_TERM_PATTERN),
+    stepCues: countMatches(text, STEP_CUE_PATTERN),
+    logicCues: countMatches(text, LOGIC_CUE_PATTERN),
+    sentences: countMatches(text, /[.?!](?:\s|$)/g)
+  };
+}
+
+/**
+ * Scales raw counts to roughly 0-4 so no feature dominates the weights
+ * @param {Object} counts - Result of countFeatures
+ * @return {Object} Scaled features by name
+ */
+function scaleFeatures(counts) {
+  return {
+    words: Math.min(counts.words, 200) / 50,
+    numbers: Math.min(counts.numbers, 20) / 5,
+    operators: Math.min(counts.operators, 12) / 3,
+    mathTerms: Math.min(counts.mathTerms, 4),
+    stepCues: Math.min(counts.stepCues, 12) / 3,
+    logicCues: Math.min(counts.logicCues, 4),
+    sentences: Math.min(counts.sentences, 20) / 5
+  };
+}
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+/**
+ * Probability that a question is complex under a model
+ * @param {Object} features - Result of scaleFeatures
+ * @param {Object} model - { weights, bias }
+ * @return {Number} Score from 0 to 1
+ */
+function scoreFeatures(features, model) {
+  const sum = FEATURE_NAMES.reduce((total, name) => total + (model.weights[name] || 0) * features[name], model.bias);
+  return sigmoid(sum);
+}
+
+/**
+ * Returns the model from COMPLEXITY_MODEL_PATH, or the default weights
+ * @return {Object} { weights, bias, thresholds, wordLimits }
+ */
+function loadModel() {
+  if (cachedModel) return cachedModel;
+
+  cachedModel = DEFAULT_MODEL;
+  const modelPath = process.env.COMPLEXITY_MODEL_PATH;
+  if (modelPath) {
+    try {
+      const trained = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+      cachedModel = {
+        weights: { ...DEFAULT_MODEL.weights, ...trained.weights },
+        bias: typeof trained.bias === 'number' ? trained.bias : DEFAULT_MODEL.bias,
+        thresholds: { ...DEFAULT_MODEL.thresholds, ...trained.thresholds },
+        wordLimits: { ...DEFAULT_MODEL.wordLimits, ...trained.wordLimits }
+      };
+      console.log(`Loaded complexity model from ${modelPath}`);
+    } catch (error) {
+      console.warn(`Could not load complexity model from ${modelPath}, using the default weights:`, error.message);
+    }
+  }
+  return cachedModel;
+}
+
+// Simple step estimate: every given quantity and sequencing cue is about one step
+function estimateSteps(counts) {
+  const steps = 1 + counts.numbers * 0.6 + counts.stepCues * 0.5 + counts.operators * 0.3 + counts.logicCues;
+  return Math.max(2, Math.min(20, Math.round(steps)));
+}
+
+/**
+ * Classifies a question
+ * @param {String} message - The user's question
+ * @param {Object} model - Model to use (default: loadModel())
+ * @return {Object} { complexity, estimatedSteps, recommendedWordLimit, confidence, score,
+ *                    hasMath, hasLogic, multiStep, wordCount }
+ */
+function classify(message, model = loadModel()) {
+  const counts = countFeatures(message);
+  const score = scoreFeatures(scaleFeatures(counts), model);
+
+  let complexity = 'normal';
+  if (score >= model.thresholds.complex) {
+    complexity = 'complex';
+  } else if (score < model.thresholds.simple) {
+    complexity = 'simple';
+  }
+  const estimatedSteps = estimateSteps(counts);
+
+  return {
+    complexity,
+    estimatedSteps,
+    recommendedWordLimit: model.wordLimits[complexity],
+    // How sure the model is of complex vs. not complex; "normal" is the uncertain middle
+    confidence: Math.round(Math.max(score, 1 - score) * 100) / 100,
+    score: Math.round(score * 1000) / 1000,
+    hasMath: counts.operators > 0 || counts.mathTerms > 0 || counts.numbers >= 2,
+    hasLogic: counts.logicCues > 0,
+    multiStep: counts.stepCues >= 2 || estimatedSteps > 4,
+    wordCount: counts.words
+  };
+}
+
+module.exports = {
+  FEATURE_NAMES,
+  DEFAULT_MODEL,
+  countFeatures,
+  scaleFeatures,
+  scoreFeatures,
+  loadModel,
+  classify
+};
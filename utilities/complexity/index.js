@@ -0,0 +1,65 @@
+// utilities/complexity/index.js
+// Picks the classifier that rates how hard a question is for adaptive reasoning.
+//
+// Every classifier implements:
+//   classify(message, options) -> (a promise of) { complexity: "simple"|"normal"|"complex",
+//     estimatedSteps, recommendedWordLimit, confidence (0-1 or null),
+//     hasMath, hasLogic, multiStep, wordCount, usage (optional) }
+// `usage` is set by classifiers that call a model: the completion's token
+// counts, which the route charges to the caller's quota (req.rateLimit).
+//
+// COMPLEXITY_CLASSIFIER selects the classifier: "feature" (default, local)
+// or "llm" (a small model through the gateway). More can be added with
+// registerClassifier.
+
+const featureClassifier = require('./feature-classifier');
+const llmClassifier = require('./llm-classifier');
+
+const classifiers = {
+  feature: message => featureClassifier.classify(message),
+  llm: llmClassifier.classify
+};
+
+/**
+ * Adds a classifier
+ * @param {String} name - Name to select it by
+ * @param {Function} classify - (message, options) -> result or promise of a result
+ */
+function registerClassifier(name, classify) {
+  classifiers[name] = classify;
+}
+
+function getClassifierNames() {
+  return Object.keys(classifiers);
+}
+
+/**
+ * Classifies a question. A failing classifier falls back to the feature scorer.
+ * @param {String} message - The user's question
+ * @param {Object} options - { classifier (default: COMPLEXITY_CLASSIFIER or "feature"), ...classifier options }
+ * @return {Promise<Object>} Classifier result plus `classifier` (the one that answered)
+ */
+async function classifyComplexity(message, options = {}) {
+  const name = options.classifier || process.env.COMPLEXITY_CLASSIFIER || 'feature';
+  const classify = classifiers[name];
+  if (!classify) {
+    throw new Error(`Unknown complexity classifier: ${name}`);
+  }
+
+  try {
+    const result = await classify(message, options);
+    return { ...result, classifier: name };
+  } catch (error) {
+    if (name === 'feature') throw error;
+    console.warn(`Complexity classifier ${name} failed, using the feature classifier:`, error.message);
+    return { ...featureClassifier.classify(message), classifier: 'feature', fallbackFrom: name };
+  }
+}
+
+module.exports = {
+  registerClassifier,
+  getClassifierNames,
+  classifyComplexity,
+  // Synchronous local classifier for callers that cannot wait
+  classifyFeatures: message => featureClassifier.classify(message)
+};
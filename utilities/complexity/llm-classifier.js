@@ -0,0 +1,79 @@
+// utilities/complexity/llm-classifier.js
+// Asks a small model through the LLM gateway how hard a question is.
+// COMPLEXITY_LLM_MODEL picks the model; answers are cached like any
+// other completion so repeated questions cost nothing. The result's `usage`
+// holds the tokens spent, which the calling route charges to the quota.
+
+const { assertValidChatRequest, chatCompletion } = require('../llm-gateway');
+const featureClassifier = require('./feature-classifier');
+
+const DEFAULT_LLM_MODEL = 'accounts/fireworks/models/llama-v3p1-8b-instruct';
+const COMPLEXITY_LEVELS = ['simple', 'normal', 'complex'];
+
+// The beginning of a question is enough to rate it; longer ones are cut here
+const MAX_QUESTION_CHARS = 4000;
+
+const CLASSIFIER_PROMPT = `Rate how hard the user's problem is to solve with step-by-step reasoning. Do not solve it.
+Reply with JSON only, in this form:
+{"complexity": "simple" | "normal" | "complex", "estimatedSteps": <number of reasoning steps needed>, "confidence": <0 to 1>}`;
+
+// Pulls the JSON object out of the reply; small models like to wrap it in prose
+function parseReply(content) {
+  const match = (content || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('Classifier reply contains no JSON');
+  }
+
+  const reply = JSON.parse(match[0]);
+  if (!COMPLEXITY_LEVELS.includes(reply.complexity)) {
+    throw new Error(`Classifier returned an unknown complexity: ${reply.complexity}`);
+  }
+  return reply;
+}
+
+/**
+ * Classifies a question with an LLM
+ * @param {String} message - The user's question
+ * @param {Object} options - { model }
+ * @return {Promise<Object>} Same shape as the feature classifier's result, plus
+ *   `usage` (tokens spent; null when the answer came from the cache)
+ */
+async function classify(message, options = {}) {
+  const request = {
+    model: options.model || process.env.COMPLEXITY_LLM_MODEL || DEFAULT_LLM_MODEL,
+    messages: [
+      { role: 'system', content: CLASSIFIER_PROMPT },
+      { role: 'user', content: (message || '').substring(0, MAX_QUESTION_CHARS) }
+    ],
+    temperature: 0,
+    max_tokens: 100,
+    cache: true
+  };
+  assertValidChatRequest(request);
+  const data = await chatCompletion(request);
+  const performance = data.performance || {};
+
+  const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+  const reply = parseReply(content);
+
+  // The hasMath/hasLogic/multiStep flags still come from the question's features
+  const features = featureClassifier.classify(message);
+  const model = featureClassifier.loadModel();
+  const steps = parseInt(reply.estimatedSteps);
+  const confidence = parseFloat(reply.confidence);
+
+  return {
+    ...features,
+    complexity: reply.complexity,
+    estimatedSteps: isNaN(steps) ? features.estimatedSteps : Math.max(1, Math.min(20, steps)),
+    recommendedWordLimit: model.wordLimits[reply.complexity],
+    confidence: isNaN(confidence) ? null : Math.max(0, Math.min(1, confidence)),
+    score: undefined,
+    model: performance.model,
+    usage: performance.cache_hit ? null : performance.usage || null
+  };
+}
+
+module.exports = {
+  classify
+};
@@ -0,0 +1,173 @@
+// utilities/embeddings.js
+// Pluggable embedding providers used for vector retrieval of KAG examples
+
+const fetch = require('node-fetch');
+
+// Dimensions of the local hashed embedding
+const LOCAL_DIMENSIONS = 256;
+
+/**
+ * Splits text into lowercase word tokens
+ * @param {String} text - Text to tokenize
+ * @return {Array} Array of tokens
+ */
+function tokenize(text) {
+  return (text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {String} str - String to hash
+ * @return {Number} Unsigned 32-bit hash
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scales a vector to unit length (zero vectors are returned unchanged)
+ * @param {Array} vector - Vector to normalize
+ * @return {Array} Normalized vector
+ */
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+/**
+ * Cosine similarity between two vectors of equal length
+ * @param {Array} a - First vector
+ * @param {Array} b - Second vector
+ * @return {Number} Similarity in [-1, 1], 0 if either vector is empty
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Local deterministic provider: hashes words and word bigrams into a fixed
+ * number of buckets. No network access, same text always gives the same vector.
+ */
+function createLocalProvider(options = {}) {
+  const dimensions = options.dimensions || LOCAL_DIMENSIONS;
+
+  return {
+    id: `local-hash-${dimensions}`,
+    dimensions: dimensions,
+    async embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        const tokens = tokenize(text);
+        const features = tokens.concat(
+          tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+        );
+
+        features.forEach(feature => {
+          const hash = hashString(feature);
+          // Use one bit of the hash as the sign so collisions tend to cancel out
+          vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+        });
+
+        return normalize(vector);
+      });
+    }
+  };
+}
+
+/**
+ * Provider for any OpenAI-compatible /embeddings endpoint (Fireworks by default)
+ */
+function createApiProvider(options = {}) {
+  const baseUrl = options.baseUrl || process.env.EMBEDDING_BASE_URL || 'https://api.fireworks.ai/inference/v1';
+  const model = options.model || process.env.EMBEDDING_MODEL || 'nomic-ai/nomic-embed-text-v1.5';
+  const apiKey = options.apiKey || process.env.EMBEDDING_API_KEY || process.env.FIREWORKS_API_KEY;
+
+  return {
+    id: `api-${model}`,
+    dimensions: null,
+    async embed(texts) {
+      if (!apiKey) {
+        throw new Error('Embedding API key not configured (set EMBEDDING_API_KEY or FIREWORKS_API_KEY)');
+      }
+
+      const response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${apiKey}`
+        },
+        body: JSON.stringify({ model: model, input: texts })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Embedding API error (${response.status}): ${errorText}`);
+      }
+
+      const data = await response.json();
+      // Results may come back out of order, so sort by index
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalize(item.embedding));
+    }
+  };
+}
+
+const providers = {
+  local: createLocalProvider,
+  fireworks: createApiProvider,
+  openai: createApiProvider
+};
+
+/**
+ * Returns the embedding provider selected by name or EMBEDDING_PROVIDER
+ * @param {String} name - Provider name ("local", "fireworks", "openai")
+ * @param {Object} options - Provider specific options
+ * @return {Object} Provider with id, dimensions and embed(texts)
+ */
+function getEmbeddingProvider(name, options = {}) {
+  const providerName = name || process.env.EMBEDDING_PROVIDER || 'local';
+  const factory = providers[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown embedding provider: ${providerName}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Text that gets embedded for a stored example
+ * @param {Object} example - Example with input/output fields
+ * @return {String} Text to embed
+ */
+function exampleEmbeddingText(example) {
+  return [example.input, example.output].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  getEmbeddingProvider,
+  cosineSimilarity,
+  exampleEmbeddingText,
+  tokenize
+};
@@ -0,0 +1,57 @@
+// utilities/example-schema.js
+// Schema check and content hash for records written to the example store
+
+const crypto = require('crypto');
+
+// Longest input/output accepted per record (characters)
+const MAX_FIELD_LENGTH = 20000;
+
+/**
+ * Validates an example record
+ * @param {Object} record - Parsed record
+ * @return {Array} List of problems, empty when the record is valid
+ */
+function validateExample(record) {
+  const errors = [];
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['record must be a JSON object'];
+  }
+
+  ['input', 'output'].forEach(field => {
+    const value = record[field];
+    if (value === undefined || value === null) {
+      errors.push(`${field} is required`);
+    } else if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.trim() === '') {
+      errors.push(`${field} must not be empty`);
+    } else if (value.length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} is longer than ${MAX_FIELD_LENGTH} characters`);
+    }
+  });
+
+  if (record.metadata !== undefined &&
+      (typeof record.metadata !== 'object' || record.metadata === null || Array.isArray(record.metadata))) {
+    errors.push('metadata must be an object');
+  }
+
+  return errors;
+}
+
+/**
+ * Stable hash of the example content, used as the upsert key
+ * @param {Object} record - Valid example record
+ * @return {String} Hex encoded SHA-256 hash
+ */
+function contentHash(record) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([record.input.trim(), record.output.trim()]))
+    .digest('hex');
+}
+
+module.exports = {
+  validateExample,
+  contentHash
+};
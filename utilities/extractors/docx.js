@@ -0,0 +1,22 @@
+// utilities/extractors/docx.js
+// Word documents via mammoth; only the text is kept, not the formatting
+
+const { ExtractError, requireParser } = require('./errors');
+const { checkZipSize } = require('./zip');
+
+async function extract(buffer, file) {
+  const mammoth = requireParser('mammoth', 'DOCX');
+  checkZipSize(buffer, file, 'DOCX');
+
+  let result;
+  try {
+    result = await mammoth.extractRawText({ buffer });
+  } catch (error) {
+    throw new ExtractError(422, `Could not read ${file.name}: ${error.message}`);
+  }
+  return { text: (result.value || '').replace(/\r\n?/g, '\n') };
+}
+
+module.exports = {
+  extract
+};
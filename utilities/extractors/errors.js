@@ -0,0 +1,31 @@
+// utilities/extractors/errors.js
+// Error type and optional parser loading shared by the extractors
+
+class ExtractError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ExtractError';
+    this.status = status;
+  }
+}
+
+/**
+ * Loads an optional parser package
+ * @param {String} packageName - npm package (or a file inside one)
+ * @param {String} format - Format name for the error message
+ * @return {Object} The package's exports
+ */
+function requireParser(packageName, format) {
+  try {
+    return require(packageName);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+    const npmName = packageName.split('/')[0];
+    throw new ExtractError(501, `${format} extraction is not available on this server (npm install ${npmName})`);
+  }
+}
+
+module.exports = {
+  ExtractError,
+  requireParser
+};
@@ -0,0 +1,93 @@
+// utilities/extractors/index.js
+// Turns uploaded documents into text for the conversation (api/extract.js).
+// The format is picked from the file extension, then the MIME type.
+//
+// Every extractor implements:
+//   extract(buffer, file) -> (a promise of) { text } for documents and code,
+//                            or { tables: [{ name, rows }] } for spreadsheets
+// and may add details such as { pages, language }.
+//
+// PDF, DOCX and XLSX parsing needs the pdf-parse, mammoth and xlsx packages;
+// without them those formats fail with a 501 and everything else still works.
+// xlsx is SheetJS from its own CDN (see package.json): the last release on
+// npm, 0.18.5, has known vulnerabilities. DOCX and XLSX archives are checked
+// for their unpacked size first (see zip.js).
+
+const path = require('path');
+const { ExtractError } = require('./errors');
+const textExtractor = require('./text');
+const tableExtractor = require('./table');
+const pdfExtractor = require('./pdf');
+const docxExtractor = require('./docx');
+
+const extractors = {
+  text: textExtractor.extractText,
+  markdown: textExtractor.extractText,
+  code: textExtractor.extractCode,
+  csv: tableExtractor.extractCsv,
+  xlsx: tableExtractor.extractXlsx,
+  pdf: pdfExtractor.extract,
+  docx: docxExtractor.extract
+};
+
+const FORMATS_BY_EXTENSION = {
+  '.txt': 'text',
+  '.log': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.xlsx': 'xlsx',
+  '.xls': 'xlsx',
+  '.pdf': 'pdf',
+  '.docx': 'docx'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/csv': 'csv',
+  'text/tab-separated-values': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-excel': 'xlsx',
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx'
+};
+
+/**
+ * Picks the format of an uploaded file
+ * @param {Object} file - { name, type }
+ * @return {String|null} Format name, or null when the file is not supported
+ */
+function detectFormat(file) {
+  const extension = path.extname(file.name || '').toLowerCase();
+  if (FORMATS_BY_EXTENSION[extension]) {
+    return FORMATS_BY_EXTENSION[extension];
+  }
+  if (textExtractor.languageForExtension(extension)) {
+    return 'code';
+  }
+  return FORMATS_BY_MIME_TYPE[(file.type || '').split(';')[0].trim()] || null;
+}
+
+/**
+ * Extracts the text of a file
+ * @param {Buffer} buffer - File content
+ * @param {Object} file - { name, type }
+ * @return {Promise<Object>} Extractor result plus { format }
+ */
+async function extractDocument(buffer, file) {
+  const format = detectFormat(file);
+  if (!format) {
+    throw new ExtractError(415, `Unsupported file type: ${file.name}. Supported: PDF, DOCX, CSV, XLSX, Markdown, text and source files`);
+  }
+
+  const result = await extractors[format](buffer, file);
+  return { ...result, format };
+}
+
+module.exports = {
+  ExtractError,
+  detectFormat,
+  extractDocument
+};
@@ -0,0 +1,22 @@
+// utilities/extractors/pdf.js
+// PDF text layer via pdf-parse. Scanned PDFs without text come back empty;
+// there is no OCR.
+
+const { ExtractError, requireParser } = require('./errors');
+
+async function extract(buffer, file) {
+  // The package's index.js runs a self-test when it is not required by a parent module
+  const pdfParse = requireParser('pdf-parse/lib/pdf-parse.js', 'PDF');
+
+  let data;
+  try {
+    data = await pdfParse(buffer);
+  } catch (error) {
+    throw new ExtractError(422, `Could not read ${file.name}: ${error.message}`);
+  }
+  return { text: (data.text || '').replace(/\r\n?/g, '\n'), pages: data.numpages };
+}
+
+module.exports = {
+  extract
+};
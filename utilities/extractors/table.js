@@ -0,0 +1,34 @@
+// utilities/extractors/table.js
+// CSV/TSV and Excel files, returned as tables so chunks can repeat the header row
+
+const { parseCsv } = require('../../data-import/readers');
+const { requireParser } = require('./errors');
+const { decodeText } = require('./text');
+const { isZip, checkZipSize } = require('./zip');
+
+function extractCsv(buffer, file) {
+  const delimiter = /\.tsv$/i.test(file.name) || file.type === 'text/tab-separated-values' ? '\t' : ',';
+  return { tables: [{ name: file.name, rows: parseCsv(decodeText(buffer, file), delimiter) }] };
+}
+
+function extractXlsx(buffer, file) {
+  const XLSX = requireParser('xlsx', 'Excel');
+  // .xlsx files are ZIP archives; legacy .xls files are not compressed
+  if (isZip(buffer)) {
+    checkZipSize(buffer, file, 'Excel');
+  }
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+
+  return {
+    tables: workbook.SheetNames.map(name => ({
+      name,
+      // Formatted cell values, one array per row
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' })
+    }))
+  };
+}
+
+module.exports = {
+  extractCsv,
+  extractXlsx
+};
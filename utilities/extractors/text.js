@@ -0,0 +1,79 @@
+// utilities/extractors/text.js
+// Plain text, Markdown and source files; these only need decoding
+
+const { ExtractError } = require('./errors');
+
+// Source file extensions and the fence language used in the prompt
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.jsx': 'jsx',
+  '.ts': 'typescript',
+  '.tsx': 'tsx',
+  '.py': 'python',
+  '.rb': 'ruby',
+  '.java': 'java',
+  '.kt': 'kotlin',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.hpp': 'cpp',
+  '.cs': 'csharp',
+  '.php': 'php',
+  '.swift': 'swift',
+  '.scala': 'scala',
+  '.sh': 'bash',
+  '.sql': 'sql',
+  '.html': 'html',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.xml': 'xml',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+  '.ini': 'ini'
+};
+
+/**
+ * Fence language of a source file extension
+ * @param {String} extension - Lowercase extension with the dot
+ * @return {String|null} Language, or null for non-source files
+ */
+function languageForExtension(extension) {
+  return LANGUAGES_BY_EXTENSION[extension] || null;
+}
+
+/**
+ * Decodes a UTF-8 text file
+ * @param {Buffer} buffer - File content
+ * @param {Object} file - { name }
+ * @return {String} Text without a byte order mark and with \n line ends
+ */
+function decodeText(buffer, file) {
+  const text = buffer.toString('utf8');
+  // NUL characters don't occur in text files
+  if (text.includes('\u0000')) {
+    throw new ExtractError(415, `${file.name} looks like a binary file, not text`);
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+}
+
+function extractText(buffer, file) {
+  return { text: decodeText(buffer, file) };
+}
+
+function extractCode(buffer, file) {
+  const extension = (file.name.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+  return { text: decodeText(buffer, file), language: languageForExtension(extension) };
+}
+
+module.exports = {
+  languageForExtension,
+  decodeText,
+  extractText,
+  extractCode
+};
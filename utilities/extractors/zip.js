@@ -0,0 +1,103 @@
+// utilities/extractors/zip.js
+// Size check for ZIP based formats (DOCX, XLSX) before they reach a parser.
+// A small upload can expand to gigabytes (a zip bomb), so every entry is
+// inflated here with a limit on its output and the total is capped at
+// EXTRACT_MAX_UNCOMPRESSED_BYTES (default: 50 MB). Sizes declared in the
+// archive are not trusted on their own.
+
+const zlib = require('zlib');
+const { ExtractError } = require('./errors');
+
+const MAX_UNCOMPRESSED_BYTES = parseInt(process.env.EXTRACT_MAX_UNCOMPRESSED_BYTES || String(50 * 1024 * 1024));
+const MAX_ENTRIES = 10000;
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Whether a file starts like a ZIP archive
+ * @param {Buffer} buffer - File content
+ * @return {Boolean} True for ZIP archives
+ */
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE;
+}
+
+// The end record is the last 22 bytes, followed by a comment of up to 64 KB
+function findEndOfCentralDirectory(buffer) {
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+// Bytes an entry inflates to, stopping once it passes `limit`
+function inflatedSize(buffer, localOffset, method, compressedSize, limit) {
+  if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER_SIGNATURE) {
+    return null;
+  }
+  const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+  if (method === STORED) {
+    return data.length;
+  }
+
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: limit + 1 }).length;
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') return Infinity;
+    return null;
+  }
+}
+
+/**
+ * Rejects ZIP archives that expand beyond MAX_UNCOMPRESSED_BYTES
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} file - { name }
+ * @param {String} format - Format name for error messages, e.g. "DOCX"
+ */
+function checkZipSize(buffer, file, format) {
+  const corrupt = () => new ExtractError(422, `Could not read ${file.name}: not a valid ${format} file`);
+  const tooLarge = () => new ExtractError(413,
+    `${file.name} expands to more than ${Math.round(MAX_UNCOMPRESSED_BYTES / 1024 / 1024)} MB when unpacked`);
+
+  const end = findEndOfCentralDirectory(buffer);
+  if (end === -1) throw corrupt();
+  const entryCount = buffer.readUInt16LE(end + 10);
+  if (entryCount > MAX_ENTRIES) throw tooLarge();
+
+  let offset = buffer.readUInt32LE(end + 16);
+  let total = 0;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw corrupt();
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const declaredSize = buffer.readUInt32LE(offset + 24);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+
+    if (method !== STORED && method !== DEFLATED) throw corrupt();
+    // ZIP64 entries declare 0xFFFFFFFF here and are far beyond the limit anyway
+    if (total + declaredSize > MAX_UNCOMPRESSED_BYTES) throw tooLarge();
+
+    const size = inflatedSize(buffer, localOffset, method, compressedSize, MAX_UNCOMPRESSED_BYTES - total);
+    if (size === null) throw corrupt();
+    total += Math.max(size, declaredSize);
+    if (total > MAX_UNCOMPRESSED_BYTES) throw tooLarge();
+
+    offset += 46 + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+}
+
+module.exports = {
+  MAX_UNCOMPRESSED_BYTES,
+  isZip,
+  checkZipSize
+};
@@ -1 +1,82 @@
+// utilities/kag-processor.js
+// This utility helps format the KAG examples for insertion into prompts
 
+/**
+ * Describes where an imported example or document chunk came from
+ * @param {Object} example - Example object from database
+ * @return {String} Citation such as "guide.md > Setup (offset 512)", or "" if unknown
+ */
+function formatSourceCitation(example) {
+  const metadata = example && example.metadata;
+  if (!metadata || !metadata.source) {
+    return "";
+  }
+
+  let citation = [metadata.source].concat(metadata.headingPath || []).join(" > ");
+  if (typeof metadata.offset === "number") {
+    citation += ` (offset ${metadata.offset})`;
+  }
+  return citation;
+}
+
+/**
+ * Formats KAG examples for inclusion in the prompt
+ * @param {Array} examples - Array of example objects from database
+ * @return {String} Formatted examples for inclusion in prompt
+ */
+function formatKagExamples(examples) {
+  if (!examples || examples.length === 0) {
+    return "";
+  }
+
+  let formatted = "\n\n## RELEVANT EXAMPLES:\n\n";
+  
+  examples.forEach((example, index) => {
+    formatted += `EXAMPLE ${index + 1}:\n`;
+    formatted += `User: ${example.input}\n`;
+    formatted += `Assistant: ${example.output}\n`;
+    
+    const citation = formatSourceCitation(example);
+    if (citation) {
+      formatted += `Source: ${citation}\n`;
+    }
+    formatted += "\n";
+  });
+  
+  formatted += "## END OF EXAMPLES\n\n";
+  
+  return formatted;
+}
+
+/**
+ * Inserts formatted KAG examples into the system prompt
+ * @param {String} systemPrompt - The original system prompt
+ * @param {Array} examples - KAG examples to insert
+ * @return {String} Updated system prompt with examples
+ */
+function augmentPromptWithKagExamples(systemPrompt, examples) {
+  if (!examples || examples.length === 0) {
+    return systemPrompt;
+  }
+  
+  const formattedExamples = formatKagExamples(examples);
+  
+  // Insert examples after the first paragraph of the system prompt
+  // This is a heuristic that works well for many system prompts
+  const firstParagraphEnd = systemPrompt.indexOf("\n\n");
+  
+  if (firstParagraphEnd !== -1) {
+    return systemPrompt.substring(0, firstParagraphEnd + 2) + 
+           formattedExamples + 
+           systemPrompt.substring(firstParagraphEnd + 2);
+  } else {
+    // If no paragraph break, just append to the end
+    return systemPrompt + "\n\n" + formattedExamples;
+  }
+}
+
+module.exports = {
+  formatSourceCitation,
+  formatKagExamples,
+  augmentPromptWithKagExamples
+};
@@ -0,0 +1,136 @@
+// utilities/kag-retrieval.js
+// Ranks KAG examples with MongoDB text search, embedding similarity or both
+
+const { getEmbeddingProvider, cosineSimilarity } = require('./embeddings');
+
+const RETRIEVAL_MODES = ['text', 'vector', 'hybrid'];
+
+// Most documents a request may ask for (maxResults)
+const MAX_RESULTS = 20;
+
+// Upper bound on documents scored in memory for vector search
+const VECTOR_SCAN_LIMIT = parseInt(process.env.VECTOR_SCAN_LIMIT || 5000);
+
+// Constant from the original reciprocal-rank fusion paper
+const RRF_K = 60;
+
+/**
+ * Text search using MongoDB's $text index
+ * (requires db.examples.createIndex({ "input": "text", "output": "text" }))
+ */
+async function textSearch(collection, query, limit) {
+  return collection.find(
+    { $text: { $search: query } },
+    { projection: { embedding: 0, score: { $meta: "textScore" } } }
+  )
+  .sort({ score: { $meta: "textScore" } })
+  .limit(limit)
+  .toArray();
+}
+
+/**
+ * Vector search: embeds the query and ranks stored embeddings by cosine similarity.
+ * Only documents embedded with the same provider are compared.
+ */
+async function vectorSearch(collection, query, limit, provider) {
+  const [queryEmbedding] = await provider.embed([query]);
+
+  const candidates = await collection.find(
+    { embeddingModel: provider.id },
+    { projection: { score: 0 } }
+  )
+  .limit(VECTOR_SCAN_LIMIT)
+  .toArray();
+
+  return candidates
+    .map(doc => {
+      const { embedding, ...rest } = doc;
+      return { ...rest, score: cosineSimilarity(queryEmbedding, embedding) };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Merges several rankings with reciprocal-rank fusion
+ * @param {Array} rankings - Arrays of documents, best first
+ * @param {Number} limit - Number of documents to return
+ * @return {Array} Fused ranking; each document gets a `score` with its RRF score
+ */
+function reciprocalRankFusion(rankings, limit) {
+  const fused = new Map();
+
+  rankings.forEach(ranking => {
+    ranking.forEach((doc, rank) => {
+      const key = String(doc._id);
+      const entry = fused.get(key) || { doc: doc, score: 0 };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(key, entry);
+    });
+  });
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(entry => ({ ...entry.doc, score: entry.score }));
+}
+
+/**
+ * Finds the examples most relevant to a query
+ * @param {Object} collection - MongoDB collection holding the examples
+ * @param {String} query - User query
+ * @param {Object} options - { mode, maxResults, embeddingProvider }
+ * @return {Array} Matching examples, best first, each with a `score`
+ */
+async function searchExamples(collection, query, options = {}) {
+  const mode = options.mode || 'text';
+  const maxResults = options.maxResults || 3;
+
+  if (!RETRIEVAL_MODES.includes(mode)) {
+    throw new Error(`Unknown retrieval mode: ${mode}`);
+  }
+
+  if (mode === 'text') {
+    return textSearch(collection, query, maxResults);
+  }
+
+  const provider = options.embeddingProvider || getEmbeddingProvider();
+
+  if (mode === 'vector') {
+    return vectorSearch(collection, query, maxResults, provider);
+  }
+
+  // Hybrid: pull a deeper candidate list from each ranker before fusing
+  const candidateCount = maxResults * 4;
+  const [textResults, vectorResults] = await Promise.all([
+    textSearch(collection, query, candidateCount),
+    vectorSearch(collection, query, candidateCount, provider)
+  ]);
+
+  return reciprocalRankFusion([textResults, vectorResults], maxResults);
+}
+
+/**
+ * Reads a request's maxResults, limited to 1..MAX_RESULTS
+ * @param {*} value - maxResults from the request, optional
+ * @param {Number} defaultValue - Used when the request has none
+ * @return {Number|null} Number of results, or null when the value is not a number
+ */
+function parseMaxResults(value, defaultValue) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const maxResults = parseInt(value);
+  if (isNaN(maxResults)) {
+    return null;
+  }
+  return Math.min(MAX_RESULTS, Math.max(1, maxResults));
+}
+
+module.exports = {
+  RETRIEVAL_MODES,
+  MAX_RESULTS,
+  parseMaxResults,
+  searchExamples,
+  reciprocalRankFusion
+};
@@ -0,0 +1,594 @@
+// utilities/llm-gateway.js
+// Single entry point for chat completions. Picks the provider from the
+// request's `model` (see utilities/providers), applies timeouts and returns
+// errors in one format, for both streaming and non-streaming requests.
+//
+// api/proxy.js, api/api-proxy.js and api/streaming.js are thin wrappers
+// around handleChatRequest, so all three behave the same way. Every request
+// handleChatRequest sends is first checked against utilities/chat-schema.js;
+// routes that call chatCompletion themselves check theirs with
+// assertValidChatRequest.
+//
+// Failed requests are retried with exponential backoff and jitter when the
+// status is retryable (429, 5xx, timeouts, network errors). When a model
+// keeps failing, the next model of the fallback chain is tried:
+//   LLM_FALLBACK_MODELS="accounts/fireworks/models/llama-v3p1-8b-instruct,openai/gpt-4o-mini"
+// or per request with `fallbackModels: [...]` in the body. Only models of
+// the registry (utilities/model-registry.js) are used as fallbacks. The model
+// that answered is reported in `performance.model`.
+//
+// Cacheable requests (temperature 0 or `cache: true`, see utilities/cache)
+// are answered from the response cache when possible; `performance.cache_hit`
+// tells whether they were.
+//
+// `performance.usage` holds the token counts (estimated when the provider sent
+// none) and `performance.cost` their price (see utilities/token-usage).
+
+const { resolveProvider } = require('./providers');
+const { abortOnClientDisconnect, relayChatStream, normalizeChatChunk, startSseResponse, writeSseEvent } = require('./sse');
+const { chatCacheKey, isChatCacheable, readCache, writeCache } = require('./cache');
+const { resolveUsage, calculateCost } = require('./token-usage');
+const { validateChatRequest } = require('./chat-schema');
+const { getModel } = require('./model-registry');
+
+// Vercel's maximum function duration; retries and fallbacks share this budget
+const REQUEST_TIMEOUT_MS = 120000;
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Statuses that won't improve by retrying the same model but may with another one
+const FALLBACK_STATUSES = [401, 403, 404];
+
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS || '500');
+const RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000');
+
+class GatewayError extends Error {
+  /**
+   * @param {Number} status - HTTP status to send to the client
+   * @param {Object} body - JSON error body ({ error, message | details })
+   * @param {Object} flags - { retryable, canFallback, retryAfterMs }
+   */
+  constructor(status, body, flags = {}) {
+    super(body.message || body.details || body.error);
+    this.name = 'GatewayError';
+    this.status = status;
+    this.body = body;
+    this.retryable = flags.retryable !== undefined ? flags.retryable : RETRYABLE_STATUSES.includes(status);
+    this.canFallback = flags.canFallback !== undefined
+      ? flags.canFallback
+      : this.retryable || FALLBACK_STATUSES.includes(status);
+    this.retryAfterMs = flags.retryAfterMs;
+  }
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential backoff with
+ * full jitter, or the provider's Retry-After when it sent one
+ * @param {Number} attempt - Retries already made
+ * @param {Number} retryAfterMs - Delay requested by the provider
+ * @return {Number} Milliseconds to wait
+ */
+function backoffDelay(attempt, retryAfterMs) {
+  if (retryAfterMs) {
+    return Math.min(retryAfterMs, RETRY_MAX_DELAY_MS);
+  }
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Models to try, in order: the requested one, then the fallback chain.
+ * Fallbacks must be in the model registry: a request naming another model
+ * is rejected, LLM_FALLBACK_MODELS entries that aren't are skipped.
+ * @param {Object} requestBody - Request with `model` and optional `fallbackModels`
+ * @return {Array} Model names without duplicates
+ */
+function getModelChain(requestBody) {
+  let fallbacks;
+  if (Array.isArray(requestBody.fallbackModels)) {
+    fallbacks = requestBody.fallbackModels.map(model => (typeof model === 'string' ? model.trim() : model));
+    const invalid = fallbacks.filter(model => !getModel(model));
+    if (invalid.length > 0) {
+      throw new GatewayError(400, {
+        error: 'Invalid fallbackModels',
+        message: `Not allowed: ${invalid.map(String).join(', ')}`
+      }, { retryable: false, canFallback: false });
+    }
+  } else {
+    fallbacks = (process.env.LLM_FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean);
+    fallbacks = fallbacks.filter(model => {
+      if (getModel(model)) return true;
+      console.warn(`Ignoring LLM_FALLBACK_MODELS entry ${model}: not in the model registry`);
+      return false;
+    });
+  }
+
+  const chain = [requestBody.model || ''].concat(fallbacks);
+  return chain.filter((model, index) => chain.indexOf(model) === index);
+}
+
+/**
+ * Tells which reasoning method the system prompt asks for, for logging and metrics
+ * @param {Array} messages - Chat messages
+ * @return {String} 'CoD', 'CoT' or 'Standard'
+ */
+function detectReasoningMethod(messages) {
+  const systemPrompt = messages && messages[0] && typeof messages[0].content === 'string'
+    ? messages[0].content
+    : '';
+
+  // Also recognizes the prompts of utilities/prompt-builder.js
+  if (systemPrompt.includes('Chain of Draft') || systemPrompt.includes('#### separator')) {
+    return 'CoD';
+  } else if (systemPrompt.includes('Chain of Thought') || systemPrompt.includes('Think step by step')) {
+    return 'CoT';
+  }
+  return 'Standard';
+}
+
+// Resolves the provider and sends the request, turning failures into GatewayErrors
+async function sendToProvider(requestBody, options) {
+  const { provider, providerName, model } = resolveProvider(requestBody.model);
+
+  const configError = provider.checkConfig();
+  if (configError) {
+    console.error(`ERROR: provider ${providerName} is not configured: ${configError}`);
+    throw new GatewayError(500, { error: 'API key not configured', message: configError }, { retryable: false, canFallback: true });
+  }
+
+  // fallbackModels and cache are for the gateway only
+  const { fallbackModels, cache, ...upstreamBody } = requestBody;
+
+  // Fallback models may allow fewer output tokens than the requested one
+  const limits = getModel(requestBody.model);
+  if (limits && upstreamBody.max_tokens > limits.maxOutputTokens) {
+    console.log(`Adjusted max_tokens from ${upstreamBody.max_tokens} to ${limits.maxOutputTokens} for ${requestBody.model}`);
+    upstreamBody.max_tokens = limits.maxOutputTokens;
+  }
+  const body = provider.prepareBody({ ...upstreamBody, model: model, stream: !!options.stream });
+  const controller = options.controller || new AbortController();
+
+  // Non-streaming requests get a hard timeout; streams are bounded by an idle timeout instead
+  let timedOut = false;
+  const timeoutId = options.stream ? null : setTimeout(() => {
+    console.log("Request is taking too long, aborting...");
+    timedOut = true;
+    controller.abort();
+  }, options.timeoutMs || REQUEST_TIMEOUT_MS);
+
+  const startTime = Date.now();
+  let response;
+  try {
+    response = await provider.send(body, { signal: controller.signal });
+  } catch (fetchError) {
+    clearTimeout(timeoutId);
+
+    if (fetchError.name === 'AbortError' && timedOut) {
+      const seconds = Math.round((options.timeoutMs || REQUEST_TIMEOUT_MS) / 1000);
+      console.error(`Request timed out after ${seconds} seconds`);
+      throw new GatewayError(504, {
+        error: 'Gateway Timeout',
+        message: `The request to the LLM API took too long to complete (>${seconds} seconds). Try reducing complexity or using fewer tokens.`
+      });
+    }
+
+    // The client went away; don't retry on its behalf
+    if (fetchError.name === 'AbortError') {
+      throw new GatewayError(499, { error: 'Request Aborted', message: 'The client closed the connection' }, { retryable: false, canFallback: false });
+    }
+
+    console.error("Error in fetch:", fetchError);
+    throw new GatewayError(500, { error: 'Request Failed', message: fetchError.message }, { retryable: true });
+  }
+
+  console.log(`${providerName} API response status: ${response.status}, time: ${Date.now() - startTime}ms`);
+
+  if (!response.ok) {
+    clearTimeout(timeoutId);
+
+    let errorDetails = `Status code: ${response.status}`;
+    try {
+      errorDetails = await response.text();
+      console.error(`API error (${response.status}): ${errorDetails}`);
+    } catch (e) {
+      console.error(`Failed to read error response: ${e.message}`);
+    }
+
+    throw new GatewayError(response.status, {
+      error: `API Error: ${response.statusText}`,
+      details: errorDetails
+    }, { retryAfterMs: parseRetryAfter(response.headers && response.headers.get('retry-after')) });
+  }
+
+  return { response, providerName, startTime, timeoutId, controller, isTimedOut: () => timedOut };
+}
+
+/**
+ * Sends the request with retries, walking the fallback chain until a model answers
+ * @param {Object} requestBody - OpenAI-style request
+ * @param {Object} options - { stream, controller, isClientClosed, timeoutMs }
+ * @return {Object} Result of sendToProvider plus { model, requestedModel, attempts, fallbackUsed }
+ */
+async function sendWithFallback(requestBody, options = {}) {
+  const chain = getModelChain(requestBody);
+  const startTime = Date.now();
+  const deadline = Date.now() + (options.timeoutMs || REQUEST_TIMEOUT_MS);
+  const isClientClosed = options.isClientClosed || (() => false);
+  let attempts = 0;
+  let lastError = null;
+
+  for (let index = 0; index < chain.length; index++) {
+    const model = chain[index];
+    if (index > 0) {
+      console.log(`Falling back to model ${model} after: ${lastError.message}`);
+    }
+
+    for (let retry = 0; ; retry++) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 || isClientClosed()) {
+        throw lastError || new GatewayError(504, { error: 'Gateway Timeout', message: 'No time left to reach the LLM API' });
+      }
+
+      attempts++;
+      try {
+        const sent = await sendToProvider({ ...requestBody, model: model }, { ...options, timeoutMs: remaining });
+        return {
+          ...sent,
+          // Response time covers retries and fallbacks
+          startTime: startTime,
+          model: model,
+          requestedModel: chain[0],
+          attempts: attempts,
+          fallbackUsed: index > 0
+        };
+      } catch (error) {
+        if (!(error instanceof GatewayError)) throw error;
+        lastError = error;
+
+        if (!error.retryable || retry >= MAX_RETRIES) break;
+
+        const delay = backoffDelay(retry, error.retryAfterMs);
+        if (Date.now() + delay >= deadline) break;
+
+        console.log(`Retrying ${model} in ${delay}ms (status ${error.status}, retry ${retry + 1} of ${MAX_RETRIES})`);
+        await sleep(delay);
+      }
+    }
+
+    if (!lastError.canFallback) {
+      throw lastError;
+    }
+  }
+
+  throw lastError;
+}
+
+function performanceInfo(sent, reasoningMethod, usage) {
+  return {
+    response_time_ms: Date.now() - sent.startTime,
+    reasoning_method: reasoningMethod,
+    provider: sent.providerName,
+    model: sent.model,
+    requested_model: sent.requestedModel,
+    attempts: sent.attempts,
+    fallback_used: sent.fallbackUsed,
+    cache_hit: false,
+    usage: usage,
+    cost: calculateCost(usage, sent.providerName, sent.model)
+  };
+}
+
+// Performance block of a response served from the cache; no tokens were billed for it
+function cachedPerformanceInfo(cached, startTime, reasoningMethod) {
+  const performance = cached.performance || {};
+  return {
+    ...performance,
+    response_time_ms: Date.now() - startTime,
+    reasoning_method: reasoningMethod,
+    attempts: 0,
+    cache_hit: true,
+    cost: performance.cost ? { input_usd: 0, output_usd: 0, total_usd: 0 } : null
+  };
+}
+
+// Text of the first choice of a completion
+function completionText(data) {
+  const choice = (data.choices && data.choices[0]) || {};
+  return (choice.message && choice.message.content) || '';
+}
+
+/**
+ * Runs a non-streaming chat completion
+ * @param {Object} requestBody - OpenAI-style request ({ model, messages, ... })
+ * @param {Object} options - { timeoutMs }
+ * @return {Object} Completion data with a `performance` block
+ */
+async function chatCompletion(requestBody, options = {}) {
+  const startTime = Date.now();
+  const reasoningMethod = detectReasoningMethod(requestBody.messages);
+
+  const key = isChatCacheable(requestBody) ? chatCacheKey(requestBody) : null;
+  if (key) {
+    const cached = await readCache(key);
+    if (cached) {
+      console.log(`Serving completion from cache (${key})`);
+      return { ...cached, performance: cachedPerformanceInfo(cached, startTime, reasoningMethod) };
+    }
+  }
+
+  const sent = await sendWithFallback(requestBody, { ...options, stream: false });
+
+  let data;
+  try {
+    data = await sent.response.json();
+  } catch (error) {
+    if (sent.isTimedOut()) {
+      throw new GatewayError(504, { error: 'Gateway Timeout', message: 'The LLM API response did not complete in time.' });
+    }
+    throw new GatewayError(502, { error: 'Bad Gateway', message: `Invalid response from ${sent.providerName}: ${error.message}` });
+  } finally {
+    clearTimeout(sent.timeoutId);
+  }
+
+  // Add performance metrics to response
+  if (data && !data.error) {
+    const usage = resolveUsage(data.usage, requestBody.messages, completionText(data));
+    data.performance = performanceInfo(sent, reasoningMethod, usage);
+    if (key) {
+      await writeCache(key, data);
+    }
+  }
+  return data;
+}
+
+// Replays a cached completion as the same events a live stream would send
+function replayCachedStream(res, cached, performance) {
+  const choice = (cached.choices && cached.choices[0]) || {};
+
+  startSseResponse(res);
+  writeSseEvent(res, { type: 'delta', delta: completionText(cached) });
+  writeSseEvent(res, { type: 'finish', finishReason: choice.finish_reason || 'stop' });
+  if (cached.usage) {
+    writeSseEvent(res, { type: 'usage', usage: cached.usage });
+  }
+  writeSseEvent(res, { type: 'performance', performance });
+  writeSseEvent(res, '[DONE]');
+  res.end();
+}
+
+/**
+ * Streams a chat completion to the client as normalized SSE events
+ * (see utilities/sse.js), ending with a {"type":"performance"} event.
+ * Retries and fallbacks happen before the first byte; errors up to then are
+ * thrown as GatewayErrors so the caller can still answer with a normal HTTP error.
+ * Streams that break off (client disconnect, upstream error) still used
+ * tokens upstream: onUsage is called with their performance block too,
+ * with the usage estimated from what was streamed so far.
+ * @param {Object} requestBody - OpenAI-style request
+ * @param {Object} res - Client response
+ * @param {Object} options - {
+ *   onChunk, finalEvents   passed to relayChatStream
+ *   onUsage(performance)   called once the upstream request is over, however it ended
+ * }
+ * @return {Object} The performance block (also for streams that broke off)
+ */
+async function streamChatCompletion(requestBody, res, options = {}) {
+  const startTime = Date.now();
+  const reasoningMethod = detectReasoningMethod(requestBody.messages);
+
+  // Streams share cache entries with non-streaming requests
+  const key = isChatCacheable(requestBody) ? chatCacheKey(requestBody) : null;
+  if (key) {
+    const cached = await readCache(key);
+    if (cached) {
+      console.log(`Serving stream from cache (${key})`);
+      const cachedPerformance = cachedPerformanceInfo(cached, startTime, reasoningMethod);
+      replayCachedStream(res, cached, cachedPerformance);
+      return cachedPerformance;
+    }
+  }
+
+  // Stop the upstream request if the browser goes away
+  const controller = new AbortController();
+  const isClientClosed = abortOnClientDisconnect(res, controller);
+
+  const sent = await sendWithFallback(requestBody, { stream: true, controller, isClientClosed });
+
+  // Collect the streamed answer for usage accounting and the cache
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let performance = null;
+  let completed = false;
+
+  try {
+    await relayChatStream(res, sent.response, {
+      controller,
+      isClientClosed,
+      idleTimeoutMs: options.idleTimeoutMs || REQUEST_TIMEOUT_MS,
+      onChunk: chunk => {
+        const normalized = normalizeChatChunk(chunk);
+        content += normalized.delta;
+        finishReason = normalized.finishReason || finishReason;
+        usage = normalized.usage || usage;
+        if (options.onChunk) options.onChunk(chunk);
+      },
+      finalEvents: () => {
+        completed = true;
+        performance = performanceInfo(sent, reasoningMethod, resolveUsage(usage, requestBody.messages, content));
+        return (options.finalEvents ? options.finalEvents() : []).concat([
+          { type: 'performance', performance }
+        ]);
+      }
+    });
+    console.log(`Stream from ${sent.providerName} (${sent.model}) ${completed ? 'finished' : 'broke off'} after ${Date.now() - sent.startTime}ms`);
+
+    // Only complete answers are cached
+    if (key && completed && finishReason && content) {
+      await writeCache(key, {
+        object: 'chat.completion',
+        model: sent.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: finishReason }],
+        usage: usage || undefined,
+        performance
+      });
+    }
+  } finally {
+    // Without the final event the usage is estimated from the prompt and what was streamed
+    if (!performance) {
+      performance = performanceInfo(sent, reasoningMethod, resolveUsage(usage, requestBody.messages, content));
+    }
+    if (options.onUsage) {
+      await options.onUsage(performance);
+    }
+  }
+  return performance;
+}
+
+// Charges billed tokens to the caller's quota (req.rateLimit from utilities/rate-limit)
+async function chargeUsage(req, performance) {
+  if (req.rateLimit && performance && !performance.cache_hit) {
+    await req.rateLimit.recordUsage(performance.usage);
+  }
+}
+
+/**
+ * Rejects a request that fails utilities/chat-schema.js with a 400 listing
+ * every problem: { error, message, fields: [{ field, message }] }
+ * @param {Object} requestBody - Chat completion request as it will be sent
+ */
+function assertValidChatRequest(requestBody) {
+  const fields = validateChatRequest(requestBody);
+  if (fields.length > 0) {
+    throw new GatewayError(400, {
+      error: 'Invalid request',
+      message: fields.map(problem => `${problem.field} ${problem.message}`.trim()).join('; '),
+      fields
+    }, { retryable: false, canFallback: false });
+  }
+}
+
+/**
+ * Complete Vercel handler for chat completion routes. CORS preflight,
+ * authentication and rate limits are left to the caller (withAuth in
+ * utilities/auth.js, withRateLimit in utilities/rate-limit); billed tokens
+ * are charged through req.rateLimit when it is set. The completion request is
+ * always validated (see assertValidChatRequest) before it is sent.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Object} options - {
+ *   stream,        force streaming on/off; default: the body's stream flag
+ *   buildRequest   (body, req) -> { requestBody, metadata } (or a promise of it): turns the client's body into the
+ *                  completion request; metadata is returned as `prompt` (a final
+ *                  {"type":"prompt"} event when streaming). May throw GatewayErrors.
+ * }
+ */
+async function handleChatRequest(req, res, options = {}) {
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method Not Allowed' });
+    return;
+  }
+
+  // Parse request body
+  let requestBody;
+  try {
+    requestBody = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  } catch (parseError) {
+    console.error("Failed to parse request body:", parseError);
+    res.setHeader('Content-Type', 'application/json');
+    res.status(400).json({
+      error: 'Invalid JSON in request body',
+      message: parseError.message
+    });
+    return;
+  }
+
+  if (!requestBody || typeof requestBody !== 'object') {
+    res.setHeader('Content-Type', 'application/json');
+    res.status(400).json({ error: 'Missing request body' });
+    return;
+  }
+
+  const stream = options.stream !== undefined ? options.stream : !!requestBody.stream;
+
+  try {
+    let chatRequest = requestBody;
+    let metadata = null;
+    if (options.buildRequest) {
+      ({ requestBody: chatRequest, metadata } = await options.buildRequest(requestBody, req));
+    }
+    assertValidChatRequest(chatRequest);
+
+    // Log request info (non-sensitive)
+    console.log(`Model requested: ${chatRequest.model || 'not specified'}`);
+    console.log(`Using reasoning method: ${detectReasoningMethod(chatRequest.messages)}`);
+    console.log(`Request complexity: ${JSON.stringify({
+      messages_count: chatRequest.messages ? chatRequest.messages.length : 0,
+      max_tokens: chatRequest.max_tokens || 'default',
+      stream: stream
+    })}`);
+
+    if (stream) {
+      await streamChatCompletion(chatRequest, res, {
+        finalEvents: metadata ? () => [{ type: 'prompt', prompt: metadata }] : undefined,
+        onUsage: performance => chargeUsage(req, performance)
+      });
+      return;
+    }
+
+    const data = await chatCompletion(chatRequest);
+    await chargeUsage(req, data && data.performance);
+    if (metadata && data && !data.error) {
+      data.prompt = metadata;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json(data);
+  } catch (error) {
+    if (res.headersSent) {
+      // The stream has already started; relayChatStream reports its own errors
+      res.end();
+      return;
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    if (error instanceof GatewayError) {
+      res.status(error.status).json(error.body);
+      return;
+    }
+
+    console.error('Function error:', error.message, error.stack);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  GatewayError,
+  backoffDelay,
+  getModelChain,
+  detectReasoningMethod,
+  assertValidChatRequest,
+  chatCompletion,
+  streamChatCompletion,
+  handleChatRequest
+};
@@ -0,0 +1,262 @@
+// utilities/model-registry.js
+// Models the proxies accept and their limits. Requests for models missing
+// here are rejected (see utilities/chat-schema.js).
+//
+// Keys are model names as clients send them, including any "<provider>/"
+// prefix (see utilities/providers). Each entry has:
+//   name              display name
+//   tags, description shown in the UI's model picker
+//   contextWindow     prompt + completion tokens the model accepts
+//   maxOutputTokens   largest max_tokens for a request
+//   capabilities      { vision, tools, jsonMode }: image parts, function calling, response_format json_object
+//   codWordLimit      recommended Chain of Draft words per step
+// Prices come from utilities/token-usage.js. GET /api/models serves the
+// catalog (see listModels).
+//
+// Add, change or remove models without a deploy of the code with
+//   LLM_MODELS='{"accounts/fireworks/models/my-model":{"name":"My model","contextWindow":32768,"maxOutputTokens":4096},
+//                "accounts/fireworks/models/mixtral-8x22b-instruct":null}'
+// (null removes a model; missing fields get the defaults below).
+//
+// The "mock" model (utilities/providers/mock-provider.js) is only listed and
+// accepted with ENABLE_MOCK_MODEL=true.
+
+const { resolveProvider } = require('./providers');
+const { getModelPrice } = require('./token-usage');
+
+// Model used when a request doesn't name one
+const DEFAULT_MODEL = process.env.DEFAULT_CHAT_MODEL || 'accounts/fireworks/models/llama-v3p3-70b-instruct';
+
+const DEFAULT_ENTRY = {
+  tags: [],
+  description: '',
+  contextWindow: 32768,
+  maxOutputTokens: 4096,
+  capabilities: { vision: false, tools: false, jsonMode: false },
+  codWordLimit: 5
+};
+
+const MODELS = {
+  'accounts/fireworks/models/deepseek-v3-0324': {
+    name: 'DeepSeek V3',
+    tags: ['Latest', 'Versatile', 'Advanced'],
+    description: "DeepSeek's latest model with strong all-around capabilities and reasoning.",
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: true, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/deepseek-v3': {
+    name: 'DeepSeek V3 (2024-12)',
+    tags: ['Versatile'],
+    description: 'The first DeepSeek V3 release.',
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: true, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/deepseek-r1': {
+    name: 'DeepSeek R1',
+    tags: ['Reasoning'],
+    description: 'Reasoning model that thinks at length before it answers.',
+    contextWindow: 163840,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: false, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/qwen2p5-coder-32b-instruct': {
+    name: 'Qwen2.5 Coder 32B',
+    tags: ['Coding', 'Technical', 'Efficient'],
+    description: 'Specialized model for programming and technical tasks with excellent code generation.',
+    contextWindow: 32768,
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: false, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/llama-v3p3-70b-instruct': {
+    name: 'Llama 3.3 70B',
+    tags: ['Powerful', 'Latest', 'Versatile'],
+    description: 'Latest Llama model with enhanced reasoning and broad capabilities.',
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: true, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/llama-v3p1-405b-instruct': {
+    name: 'Llama 3.1 405B',
+    tags: ['Powerful'],
+    description: 'Largest Llama 3.1 model.',
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: true, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/llama-v3p1-70b-instruct': {
+    name: 'Llama 3.1 70B',
+    tags: ['Versatile'],
+    description: 'Previous generation 70B Llama model.',
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: true, jsonMode: true },
+    codWordLimit: 5
+  },
+  'accounts/fireworks/models/llama-v3p1-8b-instruct': {
+    name: 'Llama 3.1 8B',
+    tags: ['Fast', 'Efficient', 'Compact'],
+    description: 'Smaller Llama model offering good balance between performance and speed.',
+    contextWindow: 131072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: true, tools: false, jsonMode: true },
+    // Small models lose accuracy with very terse drafts
+    codWordLimit: 8
+  },
+  'accounts/fireworks/models/mixtral-8x22b-instruct': {
+    name: 'Mixtral 8x22B',
+    tags: ['MoE', 'Advanced', 'Powerful'],
+    description: 'Mixture of Experts model with excellent reasoning and knowledge capabilities.',
+    contextWindow: 65536,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: true, jsonMode: true },
+    codWordLimit: 6
+  },
+  'accounts/fireworks/models/mistral-small-24b-instruct-2501': {
+    name: 'Mistral Small 24B',
+    tags: ['Efficient', 'Balanced', 'Versatile'],
+    description: 'Balanced model offering good performance across a wide range of tasks.',
+    contextWindow: 32768,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: true, jsonMode: true },
+    codWordLimit: 6
+  },
+  'sonar': {
+    name: 'Perplexity Sonar',
+    tags: ['Web search'],
+    description: 'Answers with live web search results.',
+    contextWindow: 127072,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: false, jsonMode: false },
+    codWordLimit: 5
+  },
+  'sonar-pro': {
+    name: 'Perplexity Sonar Pro',
+    tags: ['Web search', 'Advanced'],
+    description: 'Sonar with deeper searches and longer answers.',
+    contextWindow: 200000,
+    maxOutputTokens: 8192,
+    capabilities: { vision: false, tools: false, jsonMode: false },
+    codWordLimit: 5
+  },
+  'openai/gpt-4o': {
+    name: 'GPT-4o',
+    tags: ['Multimodal', 'Powerful'],
+    description: "OpenAI's flagship multimodal model.",
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    capabilities: { vision: true, tools: true, jsonMode: true },
+    codWordLimit: 5
+  },
+  'openai/gpt-4o-mini': {
+    name: 'GPT-4o mini',
+    tags: ['Fast', 'Multimodal'],
+    description: 'Small, inexpensive GPT-4o.',
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    capabilities: { vision: true, tools: true, jsonMode: true },
+    codWordLimit: 5
+  }
+};
+
+// Only allowed with ENABLE_MOCK_MODEL=true (local development and tests)
+const MOCK_MODEL = {
+  name: 'Mock (development)',
+  tags: ['Development'],
+  description: 'Local canned responses (MOCK_RESPONSE); no provider is called.',
+  contextWindow: 131072,
+  maxOutputTokens: 8192,
+  capabilities: { vision: true, tools: false, jsonMode: true },
+  codWordLimit: 5
+};
+
+function isMockModelEnabled() {
+  return process.env.ENABLE_MOCK_MODEL === 'true';
+}
+
+let customModels = null;
+
+function getCustomModels() {
+  if (customModels === null) {
+    customModels = {};
+    if (process.env.LLM_MODELS) {
+      try {
+        customModels = JSON.parse(process.env.LLM_MODELS);
+      } catch (error) {
+        console.warn('Ignoring invalid LLM_MODELS:', error.message);
+      }
+    }
+  }
+  return customModels;
+}
+
+/**
+ * All allowed models
+ * @return {Object} Model entries keyed by model name (an object without prototype)
+ */
+function getModels() {
+  // No prototype, so LLM_MODELS keys such as "__proto__" stay plain entries
+  const models = Object.assign(Object.create(null), MODELS);
+  if (isMockModelEnabled()) {
+    models.mock = MOCK_MODEL;
+  }
+  Object.entries(getCustomModels()).forEach(([id, entry]) => {
+    if (entry === null) {
+      delete models[id];
+    } else {
+      const base = models[id] || { ...DEFAULT_ENTRY, name: id };
+      models[id] = { ...base, ...entry, capabilities: { ...base.capabilities, ...entry.capabilities } };
+    }
+  });
+  return models;
+}
+
+/**
+ * Looks up a model
+ * @param {String} model - Model name as sent by the client
+ * @return {Object|null} { id, name, contextWindow, maxOutputTokens, capabilities, ... }, or null when the model is not allowed
+ */
+function getModel(model) {
+  const models = getModels();
+  // Own entries only: "constructor" or "__proto__" must not pass as models
+  if (typeof model !== 'string' || !Object.prototype.hasOwnProperty.call(models, model)) {
+    return null;
+  }
+  return { id: model, ...models[model] };
+}
+
+/**
+ * The model catalog served by /api/models
+ * @return {Array} Models sorted by name, each with its provider, whether that
+ *   provider is configured (available) and pricing ({ input, output } in USD
+ *   per million tokens, or null)
+ */
+function listModels() {
+  return Object.keys(getModels())
+    .map(id => {
+      const model = getModel(id);
+      const { provider, providerName } = resolveProvider(id);
+      return {
+        ...model,
+        provider: providerName,
+        available: !provider.checkConfig(),
+        pricing: getModelPrice(providerName, id)
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  MODELS,
+  getModels,
+  getModel,
+  listModels
+};
@@ -0,0 +1,119 @@
+// utilities/perplexity-sources.js
+// Builds the numbered source list for Perplexity answers. Sonar models cite
+// with inline [n] markers that index into a top-level `citations` URL array;
+// newer responses also carry `search_results` with titles and snippets.
+
+const CITATION_MARKER_REGEX = /\[(\d+)\]/g;
+
+/**
+ * Host name of a URL without a leading "www."
+ * @param {String} url - Source URL
+ * @return {String} Domain, or an empty string for invalid URLs
+ */
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Numbers referenced by [n] markers in the answer
+ * @param {String} text - Answer text
+ * @return {Set} Cited numbers
+ */
+function findCitationMarkers(text) {
+  const numbers = new Set();
+  let match;
+  CITATION_MARKER_REGEX.lastIndex = 0;
+  while ((match = CITATION_MARKER_REGEX.exec(text || '')) !== null) {
+    numbers.add(parseInt(match[1]));
+  }
+  return numbers;
+}
+
+// One citation in any of the shapes Perplexity has returned: a URL string,
+// a { url, title, snippet } object or a legacy tool-call argument object
+function toSource(citation) {
+  if (typeof citation === 'string') {
+    return { url: citation };
+  }
+  if (!citation || typeof citation !== 'object') {
+    return null;
+  }
+  return {
+    url: citation.url || citation.link || '',
+    title: citation.title || citation.name || '',
+    snippet: citation.snippet || citation.text || citation.description || '',
+    date: citation.date || undefined
+  };
+}
+
+// Citations from tool calls, as returned by older online models
+function toolCallCitations(message) {
+  if (!message || !Array.isArray(message.tool_calls)) {
+    return [];
+  }
+
+  return message.tool_calls
+    .filter(tool => tool.function && (tool.function.name === 'citation' || tool.function.name === 'web_search'))
+    .map(tool => {
+      try {
+        return JSON.parse(tool.function.arguments);
+      } catch (e) {
+        console.warn('Error parsing citation arguments:', e.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Extracts a numbered source list from a Perplexity response. Source n is
+ * the target of the [n] markers in the answer.
+ * @param {Object} data - Response (or accumulated stream) with citations,
+ *                        search_results and/or choices[0].message
+ * @param {String} answer - Answer text, used to flag which sources are cited
+ * @return {Array} Sources: { number, title, url, domain, snippet, cited }
+ */
+function extractSources(data, answer) {
+  const message = data.choices && data.choices[0] && data.choices[0].message;
+  const citations = Array.isArray(data.citations) ? data.citations : [];
+  const searchResults = Array.isArray(data.search_results) ? data.search_results : [];
+
+  // `citations` defines the numbering; search_results add titles and snippets
+  let entries = (citations.length > 0 ? citations : searchResults).map(toSource);
+  if (entries.length === 0) {
+    entries = toolCallCitations(message).map(toSource);
+  }
+
+  const details = new Map();
+  searchResults.map(toSource).filter(Boolean).forEach(result => details.set(result.url, result));
+
+  const cited = findCitationMarkers(answer);
+
+  return entries
+    .map((entry, index) => {
+      if (!entry || !entry.url) return null;
+
+      const detail = details.get(entry.url) || {};
+      const domain = getDomain(entry.url);
+      return {
+        number: index + 1,
+        title: entry.title || detail.title || domain || `Source ${index + 1}`,
+        url: entry.url,
+        domain: domain,
+        snippet: entry.snippet || detail.snippet || '',
+        date: entry.date || detail.date,
+        cited: cited.has(index + 1)
+      };
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  extractSources,
+  findCitationMarkers,
+  getDomain
+};
@@ -0,0 +1,370 @@
+// utilities/prompt-builder.js
+// Builds the messages for a chat completion from the reasoning settings:
+// the system prompt for standard, CoT or CoD, the CoD word limit, the
+// self-reflection step and, in adaptive mode, the enhanced prompts for
+// complex problems.
+//
+// This is the only copy of the built-in prompts: the UI gets its system
+// prompt from /api/chat/prompt. Templates from the shared prompt library
+// (utilities/prompt-library) take their {{word_limit}} and other variables
+// from the same settings.
+
+const { renderTemplate } = require('./prompt-template');
+const { classifyFeatures } = require('./complexity');
+
+const REASONING_METHODS = ['standard', 'cot', 'cod'];
+
+const DEFAULT_COD_WORD_LIMIT = 5;
+
+// Word limits with a dedicated enhanced CoD prompt
+const ENHANCED_COD_WORD_LIMITS = [5, 10, 15, 17, 20];
+
+const REFLECTION_INSTRUCTION = 'Before providing your final answer, add a reflection step starting with "Reflection:" to verify your work and catch any potential errors.';
+
+const COD_EXAMPLES = `Q: Jason had 20 lollipops. He gave Denny some lollipops. Now Jason has 12 lollipops. How many lollipops did Jason give to Denny?
+A: 20 initial. 12 remaining. 20 - 12 = 8. #### 8 lollipops
+
+Q: Roger has $125. He spends $55 on a video game and then receives $25 for his birthday. How much money does Roger have now?
+A: Start: $125. Spent: $55. 125 - 55 = $70. Received: $25. 70 + 25 = $95. #### $95
+
+Q: A square has a perimeter of 20 cm. What is its area?
+A: Perimeter = 20 cm. Side length = 20/4 = 5 cm. Area = 5² = 25 cm². #### 25 square centimeters
+
+Q: If a fabric store received 45 yards of cotton material and used 2/9 of it for a bulk order, how many yards of cotton material does the fabric store have left?
+A: Total: 45 yards. Used: 2/9 × 45 = 10 yards. Remaining: 45 - 10 = 35 yards. #### 35 yards
+
+Q: The temperature on Monday was -3°C. On Tuesday, it was 14°C. What was the change in temperature from Monday to Tuesday?
+A: Monday: -3°C. Tuesday: 14°C. Change: 14 - (-3) = 17°C. #### 17°C`;
+
+// Default templates in prompt library form (see utilities/prompt-template.js)
+const DEFAULT_TEMPLATES = {
+  cod: {
+    template: `Think step by step, but produce only minimal notes for each step ({{word_limit}} words maximum per step). Use mathematical notation where possible. Keep only essential information needed to solve the problem. Focus on key calculations and intermediate results without narrative explanation.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Examples:
+{{examples}}`,
+    variables: [
+      { name: 'word_limit', type: 'number', default: DEFAULT_COD_WORD_LIMIT, description: 'Maximum words per reasoning step' },
+      { name: 'examples', type: 'string', default: COD_EXAMPLES, description: 'Worked examples in Q:/A: form' }
+    ]
+  }
+};
+
+const PROMPTS = {
+  standard: "",
+
+  cot: `Think step by step to solve this problem. Explain your reasoning at each step, then provide your final answer.`,
+
+  cod: renderTemplate(DEFAULT_TEMPLATES.cod.template, DEFAULT_TEMPLATES.cod.variables)
+};
+
+const ENHANCED_PROMPTS = {
+  cot: `Think step by step to solve this problem. This appears to be a complex problem that requires careful reasoning. Break down your thinking into clear steps, making sure to consider all relevant information and constraints. 
+
+For complex problems, use as many steps as needed to work through the solution thoroughly. It's better to use more steps with clear reasoning than to skip steps.
+
+Check your calculations and logic at each step. After you've completed your reasoning process, provide your final answer.`,
+  
+  cod5: `Think step by step to solve this complex problem. For each step, use at most 5 words to capture the essential reasoning, but use AS MANY STEPS as needed to thoroughly work through the problem. Use mathematical notation where efficient. Show ALL intermediate calculations and logical inferences.
+
+IMPORTANT: Instead of trying to fit complex reasoning into fewer steps, break your reasoning into more numerous simple steps. For example, instead of one step with "Calculate area using length×width=50×30=1500", use multiple steps:
+1. Length = 50.
+2. Width = 30.
+3. Area = length × width.
+4. Area = 50 × 30.
+5. Area = 1500.
+
+Before providing your final answer, add a reflection step starting with "Reflection:" to verify your work and catch any potential errors.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Example of solving a complex problem with sufficient steps:
+Q: A car travels at 60 mph. After 2 hours, it increases speed to 75 mph for 1 hour. It then decreases to 50 mph for the final 30 minutes. What is the total distance traveled?
+A: First segment: speed 60 mph. First segment: time 2h. First segment: distance = 60 × 2. First segment: distance = 120 miles. Second segment: speed 75 mph. Second segment: time 1h. Second segment: distance = 75 × 1. Second segment: distance = 75 miles. Third segment: speed 50 mph. Third segment: time 0.5h. Third segment: distance = 50 × 0.5. Third segment: distance = 25 miles. Total distance: 120 + 75 + 25. Reflection: Verified all calculations and units match. Each segment's distance correctly computed. #### 220 miles`,
+
+  cod10: `Think step by step to solve this complex problem. For each step, use up to 10 words to capture the essential reasoning. Use AS MANY STEPS as needed to fully solve the problem. Include ALL intermediate calculations and logical inferences.
+
+IMPORTANT: For complex problems, it's better to use more steps with clear reasoning than to try cramming too much into each step. Break complex calculations into multiple steps.
+
+When thinking through difficult parts of a problem:
+1. Identify what information you need
+2. Think about how to derive that information
+3. Perform calculations systematically
+4. Check your work at key points
+
+Before providing your final answer, add a reflection step starting with "Reflection:" to verify your work and catch any potential errors.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Example of solving a complex problem:
+Q: A car travels at 60 mph. After 2 hours, it increases speed to 75 mph for 1 hour. It then decreases to 50 mph for the final 30 minutes. What is the total distance traveled?
+A: First segment: speed 60 mph for 2 hours. First segment distance calculation: 60 mph × 2h. First segment distance = 120 miles. Second segment: speed 75 mph for 1 hour. Second segment distance calculation: 75 mph × 1h. Second segment distance = 75 miles. Third segment: speed 50 mph for 0.5 hours. Third segment distance calculation: 50 mph × 0.5h. Third segment distance = 25 miles. Need to sum all segment distances. Total distance calculation: 120 + 75 + 25. Reflection: Verified all time periods sum correctly and speed calculations are accurate. #### 220 miles`,
+  
+  cod15: `Think step by step to solve this complex problem. For each step, use up to 15 words to capture the essential reasoning, providing more detail for critical steps. Use mathematical notation where helpful but include explanations of your approach at key points.
+
+Before providing your final answer, add a reflection step starting with "Reflection:" to verify your work and catch any potential errors.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Example of solving a complex problem:
+Q: A car travels at 60 mph. After 2 hours, it increases speed to 75 mph for 1 hour. It then decreases to 50 mph for the final 30 minutes. What is the total distance traveled?
+A: First segment: The car travels at 60 mph for 2 hours, so distance = 60 × 2 = 120 miles. Second segment: The car increases to 75 mph for 1 hour, so distance = 75 × 1 = 75 miles. Third segment: The car decreases to 50 mph for 0.5 hours, so distance = 50 × 0.5 = 25 miles. Reflection: Checked all calculations and time periods sum to 3.5 hours total. #### 220 miles`,
+  
+  cod17: `Think step by step to solve this complex problem. For each step, use up to 17 words to provide clear reasoning, especially for difficult parts. Balance precision and concision, using math notation to save words.
+
+Before providing your final answer, add a reflection step starting with "Reflection:" to verify your work and catch any potential errors.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Example of solving a complex problem:
+Q: A car travels at 60 mph. After 2 hours, it increases speed to 75 mph for 1 hour. It then decreases to 50 mph for the final 30 minutes. What is the total distance traveled?
+A: First segment: The car travels at 60 mph for 2 hours, giving distance = 60 × 2 = 120 miles. Second segment: Speed increases to 75 mph for 1 hour, so this segment's distance = 75 miles. Third segment: Speed is 50 mph for 0.5 hours, contributing 50 × 0.5 = 25 miles. Reflection: Verified all calculations and confirmed total time equals 3.5 hours. #### 220 miles`,
+  
+  cod20: `Think step by step to solve this complex problem. For each step, use up to 20 words to provide clear reasoning, explaining your approach more thoroughly for the difficult parts of the problem.
+
+Before providing your final answer, add a reflection step starting with "Reflection:" to verify your work and catch any potential errors.
+
+Separate your steps with periods. Write your final answer after the #### separator.
+
+Example of solving a complex problem:
+Q: A car travels at 60 mph. After 2 hours, it increases speed to 75 mph for 1 hour. It then decreases to 50 mph for the final 30 minutes. What is the total distance traveled?
+A: First segment: The car travels at 60 mph for 2 hours, so the distance covered in this segment is 60 × 2 = 120 miles. Second segment: The car then increases speed to 75 mph and maintains this for 1 hour, covering 75 × 1 = 75 miles. Third segment: Finally, the car decreases speed to 50 mph for 30 minutes (0.5 hours), covering 50 × 0.5 = 25 miles. Reflection: Verified all calculations are correct and time periods sum to 3.5 hours as expected. #### 220 miles`
+};
+
+
+/**
+ * Puts a CoD word limit into a prompt
+ * @param {String} prompt - Prompt containing "(N words maximum per step)"
+ * @param {Number} codWordLimit - Words per step
+ * @return {String} Prompt with the new limit
+ */
+function applyWordLimit(prompt, codWordLimit) {
+  return prompt.replace(/\(\d+ words maximum per step\)/, `(${codWordLimit} words maximum per step)`);
+}
+
+function removeReflection(prompt) {
+  return prompt.replace(/Before providing your final answer, add a reflection step.*?errors\.(\r?\n|\r)/g, '');
+}
+
+// Adds the reflection step before the examples, or after the first paragraph
+function addReflection(prompt) {
+  if (prompt.includes('add a reflection step')) {
+    return prompt;
+  }
+
+  const reflectionInstruction = `\n\n${REFLECTION_INSTRUCTION}`;
+  const firstParagraphEnd = prompt.indexOf('\n\n');
+  if (firstParagraphEnd === -1) {
+    return prompt + reflectionInstruction;
+  }
+
+  const examplesStart = prompt.indexOf('Examples:');
+  if (examplesStart !== -1 && examplesStart > firstParagraphEnd) {
+    return prompt.substring(0, examplesStart) + REFLECTION_INSTRUCTION + '\n\n' + prompt.substring(examplesStart);
+  }
+  return prompt.substring(0, firstParagraphEnd + 2) + reflectionInstruction + prompt.substring(firstParagraphEnd + 2);
+}
+
+// Tells the model how many steps a long problem may need
+function addStepGuidance(prompt, estimatedSteps) {
+  const firstParagraphEnd = prompt.indexOf('\n\n');
+  if (firstParagraphEnd === -1) {
+    return prompt;
+  }
+  return prompt.substring(0, firstParagraphEnd) +
+    `\n\nIMPORTANT: This problem may require ${estimatedSteps}+ reasoning steps. Use as many steps as needed to fully solve the problem - it's better to break complex reasoning into more simple steps than to skip important details.` +
+    prompt.substring(firstParagraphEnd);
+}
+
+/**
+ * Finds an explicit word limit in a question, e.g. "answer in 50 words"
+ * @param {String} message - The user's question
+ * @return {Number|null} Requested word count, or null
+ */
+function parseWordCountRequest(message) {
+  const patterns = [
+    /(\d+)\s*words?/i,
+    /in\s*(\d+)\s*words/i,
+    /limit\s*(\d+)\s*words/i,
+    /answer\s*in\s*(\d+)\s*words/i,
+    /respond\s*in\s*(\d+)\s*words/i,
+    /keep\s*it\s*to\s*(\d+)\s*words/i,
+    /no\s*more\s*than\s*(\d+)\s*words/i,
+    /under\s*(\d+)\s*words/i,
+    /maximum\s*of\s*(\d+)\s*words/i,
+    /max\s*(\d+)\s*words/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = (message || '').match(pattern);
+    if (match && match[1]) {
+      const wordCount = parseInt(match[1]);
+      if (!isNaN(wordCount) && wordCount > 0) {
+        return wordCount;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the enhanced prompts should be used for a problem (adaptive mode)
+ * @param {Object} complexity - Result of a complexity classifier (utilities/complexity)
+ * @return {String|null} "complex", "mathematical" or null
+ */
+function enhancementFor(complexity) {
+  if (!complexity) return null;
+  if (complexity.complexity === 'complex') return 'complex';
+  // Math combined with several steps or logic is worth enhancing as well
+  if (complexity.hasMath && (complexity.multiStep || complexity.hasLogic)) return 'mathematical';
+  return null;
+}
+
+/**
+ * System prompt for a reasoning method
+ * @param {Object} options - {
+ *   reasoningMethod,   "standard", "cot" or "cod" (default: standard)
+ *   codWordLimit,      CoD words per step (default: 5)
+ *   selfReflection,    add a reflection step to CoD prompts (default: false)
+ *   complexity,        complexity classifier result; enables the adaptive prompts
+ *   template,          { template, variables, values } from the prompt library; replaces
+ *                      the built-in prompt (and the enhanced ones) for the method
+ *   prompts,           plain-text overrides for PROMPTS
+ *   enhancedPrompts    overrides for ENHANCED_PROMPTS
+ * }
+ * @return {String} System prompt; empty for the standard method
+ */
+function buildSystemPrompt(options = {}) {
+  const reasoningMethod = options.reasoningMethod || 'standard';
+  if (!REASONING_METHODS.includes(reasoningMethod)) {
+    throw new Error(`Unknown reasoning method: ${reasoningMethod}`);
+  }
+
+  const codWordLimit = options.codWordLimit || DEFAULT_COD_WORD_LIMIT;
+  const prompts = { ...PROMPTS, ...options.prompts };
+  const enhancedPrompts = { ...ENHANCED_PROMPTS, ...options.enhancedPrompts };
+  const complexity = options.complexity;
+
+  if (options.template) {
+    const { template, variables, values } = options.template;
+    let prompt = renderTemplate(template, variables, { word_limit: codWordLimit, ...values });
+    if (reasoningMethod === 'cod' && options.selfReflection) {
+      prompt = addReflection(prompt);
+    }
+    return prompt;
+  }
+
+  if (reasoningMethod === 'standard') {
+    return prompts.standard;
+  }
+
+  if (enhancementFor(complexity)) {
+    if (reasoningMethod === 'cot') {
+      return enhancedPrompts.cot;
+    }
+    if (ENHANCED_COD_WORD_LIMITS.includes(codWordLimit)) {
+      const prompt = enhancedPrompts[`cod${codWordLimit}`];
+      return options.selfReflection ? prompt : removeReflection(prompt);
+    }
+    return applyWordLimit(prompts.cod, codWordLimit);
+  }
+
+  if (reasoningMethod === 'cot') {
+    return prompts.cot;
+  }
+
+  // Plain-text overrides still carry their word limit in the text
+  let prompt = options.prompts && options.prompts.cod
+    ? applyWordLimit(prompts.cod, codWordLimit)
+    : renderTemplate(DEFAULT_TEMPLATES.cod.template, DEFAULT_TEMPLATES.cod.variables, { word_limit: codWordLimit });
+  if (options.selfReflection) {
+    prompt = addReflection(prompt);
+  }
+  if (complexity && complexity.estimatedSteps > 5) {
+    prompt = addStepGuidance(prompt, complexity.estimatedSteps);
+  }
+  return prompt;
+}
+
+// Text of a message; content may also be an array of parts
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content.map(part => (part && part.text) || '').join(' ');
+  }
+  return '';
+}
+
+/**
+ * Text of the last user message, the question the reasoning prompt is for
+ * @param {Array} messages - Conversation ({ role, content })
+ * @return {String} Question text; empty without user messages
+ */
+function lastUserQuestion(messages) {
+  const userMessages = (messages || []).filter(message => message.role === 'user');
+  return userMessages.length ? messageText(userMessages[userMessages.length - 1]) : '';
+}
+
+/**
+ * Builds the messages for a chat completion: the system prompt for the
+ * reasoning settings followed by the conversation
+ * @param {Object} options - {
+ *   messages,          conversation ({ role, content }), without our system prompt
+ *   reasoningMethod, codWordLimit, selfReflection, template, prompts, enhancedPrompts  (see buildSystemPrompt)
+ *   adaptive           pick prompts by the complexity of the last user message (default: false)
+ *   complexity         classifier result for that message (default: the local feature classifier)
+ * }
+ * @return {Object} { messages, systemPrompt, reasoningInfo, complexity, enhancement, wordCountRequest }
+ */
+function buildChatMessages(options = {}) {
+  const conversation = options.messages || [];
+  const reasoningMethod = options.reasoningMethod || 'standard';
+  const codWordLimit = options.codWordLimit || DEFAULT_COD_WORD_LIMIT;
+
+  const question = lastUserQuestion(conversation);
+  let complexity = null;
+  if (options.adaptive) {
+    complexity = options.complexity || classifyFeatures(question);
+  }
+  const wordCountRequest = parseWordCountRequest(question);
+
+  let systemPrompt = buildSystemPrompt({ ...options, reasoningMethod, codWordLimit, complexity });
+  // A requested answer length only needs its own instruction without a reasoning prompt
+  if (!systemPrompt && wordCountRequest) {
+    systemPrompt = `Please limit your response to ${wordCountRequest} words maximum.`;
+  }
+
+  let reasoningInfo = reasoningMethod.toUpperCase();
+  if (reasoningMethod === 'cod') {
+    reasoningInfo += `-${codWordLimit}`;
+  }
+  const enhancement = reasoningMethod === 'standard' || options.template ? null : enhancementFor(complexity);
+  if (enhancement) {
+    reasoningInfo += '-ENHANCED';
+  }
+
+  return {
+    messages: systemPrompt ? [{ role: 'system', content: systemPrompt }, ...conversation] : conversation.slice(),
+    systemPrompt,
+    reasoningInfo,
+    complexity,
+    enhancement,
+    wordCountRequest
+  };
+}
+
+module.exports = {
+  REASONING_METHODS,
+  DEFAULT_COD_WORD_LIMIT,
+  ENHANCED_COD_WORD_LIMITS,
+  DEFAULT_TEMPLATES,
+  PROMPTS,
+  ENHANCED_PROMPTS,
+  applyWordLimit,
+  parseWordCountRequest,
+  lastUserQuestion,
+  buildSystemPrompt,
+  buildChatMessages
+};
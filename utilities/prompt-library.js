@@ -0,0 +1,294 @@
+// utilities/prompt-library.js
+// Shared library of named prompt templates stored in MongoDB. Every save
+// adds a version; old versions are kept so they can be compared and used.
+//
+// Document shape:
+//   { name, description, reasoningMethod, currentVersion, owner,
+//     versions: [{ version, template, variables, note, author, createdAt }],
+//     createdAt, updatedAt }
+//
+// Any user can read and render prompts. New versions and deletes are only
+// accepted from the prompt's owner (the user who created it) and from the
+// users in PROMPT_ADMINS="alice,bob"; prompts saved before owners were
+// recorded can only be changed by admins.
+
+const { connectToDatabase } = require('./storage/mongodb-adapter');
+const { PromptTemplateError, validateTemplate, renderTemplate, diffLines, formatDiff } = require('./prompt-template');
+const { REASONING_METHODS } = require('./prompt-builder');
+
+const PROMPTS_COLLECTION = process.env.PROMPTS_COLLECTION || 'prompt_templates';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+class PromptLibraryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'PromptLibraryError';
+    this.status = status;
+  }
+}
+
+let indexesCreated = false;
+
+async function getCollection() {
+  const db = await connectToDatabase();
+  const collection = db.collection(PROMPTS_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ name: 1 }, { name: 'prompt_name_index', unique: true });
+    indexesCreated = true;
+  }
+  return collection;
+}
+
+function isPromptAdmin(user) {
+  return (process.env.PROMPT_ADMINS || '').split(',').map(name => name.trim()).includes(user);
+}
+
+function checkCanChange(doc, user) {
+  if (!user || (user !== doc.owner && !isPromptAdmin(user))) {
+    throw new PromptLibraryError(403, doc.owner
+      ? `Only ${doc.owner} or an admin can change prompt ${doc.name}`
+      : `Only an admin can change prompt ${doc.name}`);
+  }
+}
+
+// Template problems are client errors
+function checkTemplate(template, variables) {
+  try {
+    return validateTemplate(template, variables);
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      throw new PromptLibraryError(400, error.message);
+    }
+    throw error;
+  }
+}
+
+function findVersion(doc, version) {
+  const number = version === undefined || version === null || version === '' ? doc.currentVersion : parseInt(version);
+  const found = doc.versions.find(entry => entry.version === number);
+  if (!found) {
+    throw new PromptLibraryError(404, `Version ${version} of prompt ${doc.name} not found`);
+  }
+  return found;
+}
+
+// Shape returned to clients: one version in full plus the version history
+function toPrompt(doc, version) {
+  const selected = findVersion(doc, version);
+  return {
+    name: doc.name,
+    description: doc.description,
+    reasoningMethod: doc.reasoningMethod,
+    currentVersion: doc.currentVersion,
+    owner: doc.owner || null,
+    version: selected.version,
+    template: selected.template,
+    variables: selected.variables,
+    note: selected.note,
+    author: selected.author,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    versions: doc.versions.map(entry => ({
+      version: entry.version,
+      note: entry.note,
+      author: entry.author,
+      createdAt: entry.createdAt
+    }))
+  };
+}
+
+async function findPrompt(name) {
+  const collection = await getCollection();
+  const doc = await collection.findOne({ name });
+  if (!doc) {
+    throw new PromptLibraryError(404, `Prompt not found: ${name}`);
+  }
+  return doc;
+}
+
+/**
+ * Lists the prompts with their current version
+ * @param {Object} options - { reasoningMethod }
+ * @return {Array} Prompts (without version history)
+ */
+async function listPrompts(options = {}) {
+  const collection = await getCollection();
+  const query = options.reasoningMethod ? { reasoningMethod: options.reasoningMethod } : {};
+  const docs = await collection.find(query).sort({ name: 1 }).toArray();
+
+  return docs.map(doc => {
+    const { versions, ...prompt } = toPrompt(doc);
+    return { ...prompt, versionCount: versions.length };
+  });
+}
+
+/**
+ * Gets a prompt
+ * @param {String} name - Prompt name
+ * @param {Number} version - Version to return (default: current)
+ */
+async function getPrompt(name, version) {
+  return toPrompt(await findPrompt(name), version);
+}
+
+/**
+ * Creates a prompt with its first version
+ * @param {Object} data - { name, description, reasoningMethod, template, variables, note }
+ * @param {String} author - Authenticated user who saves it; becomes the owner
+ */
+async function createPrompt(data, author) {
+  if (!data.name || !NAME_PATTERN.test(data.name)) {
+    throw new PromptLibraryError(400, 'name must be 1-64 lower case letters, digits, "-" or "_"');
+  }
+  if (!REASONING_METHODS.includes(data.reasoningMethod)) {
+    throw new PromptLibraryError(400, `reasoningMethod must be one of: ${REASONING_METHODS.join(', ')}`);
+  }
+  const variables = checkTemplate(data.template, data.variables);
+
+  const collection = await getCollection();
+  const now = new Date().toISOString();
+  const doc = {
+    name: data.name,
+    description: data.description || '',
+    reasoningMethod: data.reasoningMethod,
+    currentVersion: 1,
+    owner: author,
+    versions: [{ version: 1, template: data.template, variables, note: data.note || 'Initial version', author: author || null, createdAt: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    await collection.insertOne(doc);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new PromptLibraryError(409, `Prompt already exists: ${data.name}`);
+    }
+    throw error;
+  }
+  return toPrompt(doc);
+}
+
+/**
+ * Saves a new version of a prompt. With baseVersion the save fails with 409
+ * when someone else saved a version since the client loaded that one.
+ * @param {String} name - Prompt name
+ * @param {Object} data - { template, variables, note, description, baseVersion }
+ * @param {String} author - Authenticated user who saves it (the owner or an admin)
+ */
+async function addVersion(name, data, author) {
+  const variables = checkTemplate(data.template, data.variables);
+  const collection = await getCollection();
+  const doc = await findPrompt(name);
+  checkCanChange(doc, author);
+
+  if (data.baseVersion !== undefined && parseInt(data.baseVersion) !== doc.currentVersion) {
+    throw new PromptLibraryError(409, `Prompt ${name} is at version ${doc.currentVersion}; reload it before saving`);
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    version: doc.currentVersion + 1,
+    template: data.template,
+    variables,
+    note: data.note || '',
+    author: author || null,
+    createdAt: now
+  };
+  const changes = { currentVersion: entry.version, updatedAt: now };
+  if (data.description !== undefined) {
+    changes.description = String(data.description);
+  }
+
+  // Only applies if nobody saved in between
+  const result = await collection.updateOne(
+    { _id: doc._id, currentVersion: doc.currentVersion },
+    { $set: changes, $push: { versions: entry } }
+  );
+  if (result.modifiedCount !== 1) {
+    throw new PromptLibraryError(409, `Prompt ${name} was changed concurrently, please retry`);
+  }
+
+  return toPrompt({ ...doc, ...changes, versions: [...doc.versions, entry] });
+}
+
+/**
+ * Line diff between two versions of a prompt
+ * @param {String} name - Prompt name
+ * @param {Number} from - Earlier version (default: the one before `to`)
+ * @param {Number} to - Later version (default: current)
+ * @return {Object} { name, from, to, diff: [{ type, line }], text }
+ */
+async function diffVersions(name, from, to) {
+  const doc = await findPrompt(name);
+  const toVersion = findVersion(doc, to);
+  const fromVersion = findVersion(doc, from !== undefined && from !== '' ? from : Math.max(1, toVersion.version - 1));
+
+  let diff;
+  try {
+    diff = diffLines(fromVersion.template, toVersion.template);
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      throw new PromptLibraryError(400, error.message);
+    }
+    throw error;
+  }
+  return {
+    name,
+    from: fromVersion.version,
+    to: toVersion.version,
+    diff,
+    text: formatDiff(diff)
+  };
+}
+
+/**
+ * Renders a version of a prompt
+ * @param {String} name - Prompt name
+ * @param {Object} options - { version, values }
+ * @return {Object} { name, version, reasoningMethod, text }
+ */
+async function renderPrompt(name, options = {}) {
+  const prompt = await getPrompt(name, options.version);
+  try {
+    return {
+      name,
+      version: prompt.version,
+      reasoningMethod: prompt.reasoningMethod,
+      text: renderTemplate(prompt.template, prompt.variables, options.values || {})
+    };
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      throw new PromptLibraryError(400, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Deletes a prompt with all its versions
+ * @param {String} name - Prompt name
+ * @param {String} user - Authenticated user (the owner or an admin)
+ */
+async function deletePrompt(name, user) {
+  const collection = await getCollection();
+  const doc = await findPrompt(name);
+  checkCanChange(doc, user);
+  const result = await collection.deleteOne({ _id: doc._id });
+  if (result.deletedCount === 0) {
+    throw new PromptLibraryError(404, `Prompt not found: ${name}`);
+  }
+  return { name, deleted: true };
+}
+
+module.exports = {
+  PromptLibraryError,
+  listPrompts,
+  getPrompt,
+  createPrompt,
+  addVersion,
+  diffVersions,
+  renderPrompt,
+  deletePrompt
+};
@@ -0,0 +1,206 @@
+// utilities/prompt-template.js
+// Prompt templates with typed {{variables}} and line diffs between versions.
+//
+// A template is plain text with {{name}} placeholders. Each placeholder is
+// declared in a variable list:
+//   [{ name: "word_limit", type: "number", default: 5, description: "..." }]
+// Types are string, number and boolean. Values are checked against the
+// type when the template is rendered; missing values use the default.
+//
+// Templates are limited to MAX_TEMPLATE_CHARS characters and
+// MAX_TEMPLATE_LINES lines, which also bounds the memory of a diff.
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean'];
+const VARIABLE_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z][a-z0-9_]*)\s*\}\}/g;
+const MAX_TEMPLATE_CHARS = 20000;
+const MAX_TEMPLATE_LINES = 500;
+
+class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+/**
+ * Names of the placeholders used in a template
+ * @param {String} template - Template text
+ * @return {Array} Unique variable names in order of first use
+ */
+function extractVariableNames(template) {
+  const names = [];
+  for (const match of String(template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+function checkType(definition, value) {
+  if (definition.type === 'number') {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !isFinite(number)) {
+      throw new PromptTemplateError(`Variable ${definition.name} must be a number`);
+    }
+    return number;
+  }
+  if (definition.type === 'boolean') {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (typeof value !== 'boolean') {
+      throw new PromptTemplateError(`Variable ${definition.name} must be a boolean`);
+    }
+    return value;
+  }
+  if (typeof value !== 'string') {
+    throw new PromptTemplateError(`Variable ${definition.name} must be a string`);
+  }
+  return value;
+}
+
+/**
+ * Checks a template and its variable declarations
+ * @param {String} template - Template text
+ * @param {Array} variables - Variable declarations
+ * @return {Array} Normalized declarations; throws PromptTemplateError when invalid
+ */
+function validateTemplate(template, variables) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new PromptTemplateError('template must be a non-empty string');
+  }
+  if (template.length > MAX_TEMPLATE_CHARS) {
+    throw new PromptTemplateError(`template must not be longer than ${MAX_TEMPLATE_CHARS} characters`);
+  }
+  if (template.split('\n').length > MAX_TEMPLATE_LINES) {
+    throw new PromptTemplateError(`template must not have more than ${MAX_TEMPLATE_LINES} lines`);
+  }
+  if (variables !== undefined && !Array.isArray(variables)) {
+    throw new PromptTemplateError('variables must be an array');
+  }
+
+  const definitions = (variables || []).map((variable, index) => {
+    if (!variable || !VARIABLE_NAME_PATTERN.test(variable.name || '')) {
+      throw new PromptTemplateError(`variables[${index}].name must be lower case letters, digits and underscores`);
+    }
+    const type = variable.type || 'string';
+    if (!VARIABLE_TYPES.includes(type)) {
+      throw new PromptTemplateError(`variables[${index}].type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+
+    const definition = { name: variable.name, type };
+    if (variable.description) {
+      definition.description = String(variable.description);
+    }
+    if (variable.default !== undefined) {
+      definition.default = checkType(definition, variable.default);
+    }
+    return definition;
+  });
+
+  const declared = definitions.map(definition => definition.name);
+  const duplicate = declared.find((name, index) => declared.indexOf(name) !== index);
+  if (duplicate) {
+    throw new PromptTemplateError(`Variable ${duplicate} is declared twice`);
+  }
+
+  const undeclared = extractVariableNames(template).filter(name => !declared.includes(name));
+  if (undeclared.length > 0) {
+    throw new PromptTemplateError(`Undeclared variable(s) in template: ${undeclared.join(', ')}`);
+  }
+
+  return definitions;
+}
+
+/**
+ * Fills in a template
+ * @param {String} template - Template text
+ * @param {Array} variables - Variable declarations
+ * @param {Object} values - Values by variable name; unknown names are ignored
+ * @return {String} Rendered text; throws PromptTemplateError for missing or mistyped values
+ */
+function renderTemplate(template, variables, values = {}) {
+  const definitions = {};
+  (variables || []).forEach(definition => {
+    definitions[definition.name] = definition;
+  });
+
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const definition = definitions[name];
+    if (!definition) {
+      throw new PromptTemplateError(`Undeclared variable: ${name}`);
+    }
+
+    const value = values[name] !== undefined && values[name] !== null ? values[name] : definition.default;
+    if (value === undefined) {
+      throw new PromptTemplateError(`Missing value for variable: ${name}`);
+    }
+    return String(checkType(definition, value));
+  });
+}
+
+/**
+ * Line diff of two texts (longest common subsequence). The LCS table grows
+ * with the product of the line counts, so texts of more than
+ * MAX_TEMPLATE_LINES lines are rejected.
+ * @param {String} oldText - Earlier version
+ * @param {String} newText - Later version
+ * @return {Array} [{ type: "equal"|"remove"|"add", line }]
+ */
+function diffLines(oldText, newText) {
+  const oldLines = String(oldText || '').split('\n');
+  const newLines = String(newText || '').split('\n');
+  if (oldLines.length > MAX_TEMPLATE_LINES || newLines.length > MAX_TEMPLATE_LINES) {
+    throw new PromptTemplateError(`Templates of more than ${MAX_TEMPLATE_LINES} lines can't be diffed`);
+  }
+
+  // lengths[i][j] = LCS length of oldLines[i..] and newLines[j..]
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      diff.push({ type: 'equal', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'remove', line: oldLines[i++] });
+    } else {
+      diff.push({ type: 'add', line: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) diff.push({ type: 'remove', line: oldLines[i++] });
+  while (j < newLines.length) diff.push({ type: 'add', line: newLines[j++] });
+  return diff;
+}
+
+/**
+ * Diff as text with "+ ", "- " and "  " line prefixes
+ * @param {Array} diff - Result of diffLines
+ * @return {String} Diff text
+ */
+function formatDiff(diff) {
+  const prefixes = { equal: '  ', remove: '- ', add: '+ ' };
+  return diff.map(entry => prefixes[entry.type] + entry.line).join('\n');
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  MAX_TEMPLATE_CHARS,
+  MAX_TEMPLATE_LINES,
+  PromptTemplateError,
+  extractVariableNames,
+  validateTemplate,
+  renderTemplate,
+  diffLines,
+  formatDiff
+};
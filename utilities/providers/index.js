@@ -0,0 +1,96 @@
+// utilities/providers/index.js
+// LLM providers used by the gateway and how a request's `model` picks one.
+//
+// Every provider implements:
+//   checkConfig()                  -> error message or null
+//   prepareBody(body)              -> body with provider limits applied
+//   send(body, { signal })         -> node-fetch style response
+//
+// Routing by model:
+//   "mock" or "mock/<anything>"    -> local mock provider
+//   "openai/<model>"               -> OpenAI-compatible API at OPENAI_BASE_URL
+//   "perplexity/<model>", "sonar*" -> Perplexity
+//   "fireworks/<model>", "accounts/..." and anything else -> Fireworks
+//                                     (or LLM_DEFAULT_PROVIDER if set)
+
+const { createOpenAiCompatibleProvider } = require('./openai-compatible');
+const { createMockProvider } = require('./mock-provider');
+
+const providerFactories = {
+  fireworks: () => createOpenAiCompatibleProvider({
+    name: 'fireworks',
+    baseUrl: process.env.FIREWORKS_BASE_URL || 'https://api.fireworks.ai/inference/v1',
+    apiKey: process.env.FIREWORKS_API_KEY,
+    apiKeyEnv: 'FIREWORKS_API_KEY',
+    // Fireworks models accept different limits; 8192 works for all of them
+    maxTokensLimit: 8192,
+    streamUsage: true
+  }),
+  perplexity: () => createOpenAiCompatibleProvider({
+    name: 'perplexity',
+    baseUrl: process.env.PERPLEXITY_BASE_URL || 'https://api.perplexity.ai',
+    apiKey: process.env.PERPLEXITY_API_KEY,
+    apiKeyEnv: 'PERPLEXITY_API_KEY'
+  }),
+  openai: () => createOpenAiCompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY,
+    apiKeyEnv: 'OPENAI_API_KEY',
+    streamUsage: true
+  }),
+  mock: () => createMockProvider({ response: process.env.MOCK_RESPONSE })
+};
+
+const PROVIDER_NAMES = Object.keys(providerFactories);
+
+/**
+ * Returns a provider by name
+ * @param {String} name - One of PROVIDER_NAMES
+ * @return {Object} Provider
+ */
+function getProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  // Built per call so environment changes (e.g. in vercel dev) are picked up
+  return factory();
+}
+
+/**
+ * Picks the provider for a model and the model name to send to it
+ * @param {String} model - The request's model field
+ * @return {Object} { provider, providerName, model }
+ */
+function resolveProvider(model) {
+  const requested = model || '';
+  let providerName;
+  let upstreamModel = requested;
+
+  const prefix = requested.split('/')[0];
+  if (requested === 'mock') {
+    providerName = 'mock';
+  } else if (PROVIDER_NAMES.includes(prefix) && requested.includes('/')) {
+    providerName = prefix;
+    upstreamModel = requested.substring(prefix.length + 1);
+  } else if (requested.startsWith('accounts/')) {
+    providerName = 'fireworks';
+  } else if (requested.startsWith('sonar')) {
+    providerName = 'perplexity';
+  } else {
+    providerName = process.env.LLM_DEFAULT_PROVIDER || 'fireworks';
+  }
+
+  return {
+    provider: getProvider(providerName),
+    providerName,
+    model: upstreamModel
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  resolveProvider
+};
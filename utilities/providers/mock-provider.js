@@ -0,0 +1,88 @@
+// utilities/providers/mock-provider.js
+// Local mock provider: answers without any network call so the UI and the
+// gateway can be exercised offline. Responses look like an OpenAI-compatible
+// API, including SSE streaming, so every code path behaves as in production.
+
+const { Readable } = require('stream');
+
+// Fake response object with the parts of the node-fetch Response the gateway uses
+function mockResponse(payload, stream) {
+  const text = stream ? null : JSON.stringify(payload);
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    json: async () => payload,
+    text: async () => text,
+    body: stream ? Readable.from(payload) : Readable.from([text])
+  };
+}
+
+function lastUserMessage(messages) {
+  const userMessages = (messages || []).filter(message => message.role === 'user');
+  const last = userMessages[userMessages.length - 1];
+  if (!last) return '';
+  return typeof last.content === 'string' ? last.content : JSON.stringify(last.content);
+}
+
+/**
+ * Creates the mock provider
+ * @param {Object} options - { response: fixed answer text (default: echo the question) }
+ * @return {Object} Provider: { name, checkConfig, prepareBody, send }
+ */
+function createMockProvider(options = {}) {
+  return {
+    name: 'mock',
+
+    checkConfig() {
+      return null;
+    },
+
+    prepareBody(body) {
+      return body;
+    },
+
+    async send(body) {
+      const question = lastUserMessage(body.messages);
+      const answer = options.response || `Mock response to: "${question.substring(0, 200)}"`;
+      const id = `mock-${Date.now()}`;
+      const created = Math.floor(Date.now() / 1000);
+      const usage = {
+        prompt_tokens: Math.ceil(JSON.stringify(body.messages || []).length / 4),
+        completion_tokens: Math.ceil(answer.length / 4)
+      };
+      usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+      if (!body.stream) {
+        return mockResponse({
+          id,
+          object: 'chat.completion',
+          created,
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+          usage
+        }, false);
+      }
+
+      // One SSE event per word, then the finish reason with usage
+      const events = answer.split(/(?<=\s)/).map(word => ({
+        id, object: 'chat.completion.chunk', created, model: body.model,
+        choices: [{ index: 0, delta: { content: word }, finish_reason: null }]
+      }));
+      events.push({
+        id, object: 'chat.completion.chunk', created, model: body.model,
+        choices: [{ index: 0, delta: {}, finish_reason: 'stop' }],
+        usage
+      });
+
+      return mockResponse(
+        events.map(event => `data: ${JSON.stringify(event)}\n\n`).concat(['data: [DONE]\n\n']),
+        true
+      );
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,70 @@
+// utilities/providers/openai-compatible.js
+// Provider for any API that speaks the OpenAI /chat/completions protocol
+// (Fireworks, Perplexity, OpenAI itself, vLLM, Ollama, ...)
+
+const fetch = require('node-fetch');
+
+/**
+ * Creates an OpenAI-compatible chat provider
+ * @param {Object} options - {
+ *   name,            provider name used in logs and responses
+ *   baseUrl,         e.g. https://api.fireworks.ai/inference/v1
+ *   apiKey,          bearer token
+ *   apiKeyEnv,       environment variable named in configuration errors
+ *   maxTokensLimit   upper bound for max_tokens, if the API has one
+ *   streamUsage      ask for a final usage chunk in streams (stream_options)
+ * }
+ * @return {Object} Provider: { name, checkConfig, prepareBody, send }
+ */
+function createOpenAiCompatibleProvider(options) {
+  const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+
+  return {
+    name: options.name,
+
+    checkConfig() {
+      if (!baseUrl) {
+        return `No base URL configured for provider ${options.name}`;
+      }
+      if (!options.apiKey) {
+        return `Please set ${options.apiKeyEnv} in your environment variables`;
+      }
+      return null;
+    },
+
+    // Applies provider limits to the request body
+    prepareBody(body) {
+      if (options.streamUsage && body.stream) {
+        body = { ...body, stream_options: { include_usage: true, ...body.stream_options } };
+      }
+      if (!options.maxTokensLimit) {
+        return body;
+      }
+
+      const originalMaxTokens = body.max_tokens || 4096;
+      const validatedMaxTokens = Math.min(Math.max(1, originalMaxTokens), options.maxTokensLimit);
+      if (originalMaxTokens !== validatedMaxTokens) {
+        console.log(`Adjusted max_tokens from ${originalMaxTokens} to ${validatedMaxTokens} to meet ${options.name} limits`);
+      }
+      return { ...body, max_tokens: validatedMaxTokens };
+    },
+
+    // Sends the request; resolves with the node-fetch response
+    send(body, sendOptions = {}) {
+      return fetch(`${baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': body.stream ? 'text/event-stream' : 'application/json',
+          'Authorization': `Bearer ${options.apiKey}`
+        },
+        body: JSON.stringify(body),
+        signal: sendOptions.signal
+      });
+    }
+  };
+}
+
+module.exports = {
+  createOpenAiCompatibleProvider
+};
@@ -0,0 +1,75 @@
+// utilities/rate-limit/algorithms.js
+// Request rate algorithms. Each one is a pure function of the stored state:
+//   (state | null, now, { limit, windowMs }) -> { state, result }
+// where result is { allowed, limit, remaining, resetMs, retryAfterMs }.
+
+/**
+ * Token bucket: holds up to `limit` requests and refills at limit per
+ * window, so short bursts are allowed while the average rate is capped
+ */
+function tokenBucket(state, now, { limit, windowMs }) {
+  const refillPerMs = limit / windowMs;
+  const previous = state || { tokens: limit, updatedAt: now };
+  let tokens = Math.min(limit, previous.tokens + (now - previous.updatedAt) * refillPerMs);
+
+  const allowed = tokens >= 1;
+  if (allowed) tokens -= 1;
+
+  return {
+    state: { tokens, updatedAt: now },
+    result: {
+      allowed,
+      limit,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((limit - tokens) / refillPerMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+    }
+  };
+}
+
+/**
+ * Sliding window counter: the previous fixed window's count is weighted by
+ * how much of it still overlaps the sliding window
+ */
+function slidingWindow(state, now, { limit, windowMs }) {
+  const windowStart = now - (now % windowMs);
+  let previous = 0;
+  let current = 0;
+  if (state && state.windowStart === windowStart) {
+    previous = state.previous;
+    current = state.current;
+  } else if (state && state.windowStart === windowStart - windowMs) {
+    previous = state.current;
+  }
+
+  const elapsed = now - windowStart;
+  const count = previous * (1 - elapsed / windowMs) + current;
+  const allowed = count + 1 <= limit;
+  if (allowed) current += 1;
+
+  let retryAfterMs = 0;
+  if (!allowed) {
+    if (current + 1 > limit) {
+      // Not before the next window, and then only once this window's weight has dropped enough
+      retryAfterMs = windowMs - elapsed + Math.max(0, windowMs * (1 - (limit - 1) / current));
+    } else {
+      retryAfterMs = windowMs * (1 - (limit - 1 - current) / previous) - elapsed;
+    }
+  }
+
+  return {
+    state: { windowStart, previous, current },
+    result: {
+      allowed,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - count - (allowed ? 1 : 0))),
+      resetMs: windowMs - elapsed,
+      retryAfterMs: Math.ceil(retryAfterMs)
+    }
+  };
+}
+
+module.exports = {
+  'token-bucket': tokenBucket,
+  'sliding-window': slidingWindow
+};
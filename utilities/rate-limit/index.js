@@ -0,0 +1,240 @@
+// utilities/rate-limit/index.js
+// Request rate limits and daily token quotas for the routes that spend
+// provider credits. Wrap a handler with withRateLimit inside withAuth
+// (utilities/auth.js), which identifies the caller.
+//
+// Every store implements:
+//   update(key, fn, ttlMs)         -> result of fn; fn(state | null) -> { state, result }, applied atomically
+//   increment(key, amount, ttlMs)  -> counter value after adding amount
+//   get(key)                       -> counter value or null
+//
+// Configuration:
+//   RATE_LIMIT_STORE                "memory" (default, per instance), "mongodb" or "off"
+//   RATE_LIMIT_ALGORITHM            "sliding-window" (default) or "token-bucket"
+//   RATE_LIMIT_REQUESTS             requests per window and caller (default: 30)
+//   RATE_LIMIT_WINDOW_SECONDS       window length (default: 60)
+//   QUOTA_DAILY_TOKENS_PER_KEY      tokens per UTC day for each API key or user (default: 200000)
+//   QUOTA_DAILY_TOKENS_PER_IP       tokens per UTC day for each IP address (default: 100000)
+// A limit of 0 turns that limit off.
+//
+// Requests are limited per API key or user and per IP address; quotas are
+// charged with the `usage` of the completions (see recordUsage).
+
+const algorithms = require('./algorithms');
+const { createMemoryStore } = require('./memory-store');
+const { createMongoStore } = require('./mongodb-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stores = {
+  memory: () => createMemoryStore(),
+  mongodb: () => createMongoStore({ collectionName: process.env.RATE_LIMIT_COLLECTION || 'rate_limits' })
+};
+
+// One store per process so the memory store is shared between requests
+let cachedStore = null;
+
+/**
+ * Returns the configured store
+ * @return {Object|null} Store, or null when rate limiting is off
+ */
+function getStore() {
+  const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+  if (storeName === 'off') {
+    return null;
+  }
+
+  if (cachedStore && cachedStore.name === storeName) {
+    return cachedStore;
+  }
+
+  const factory = stores[storeName];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${storeName}`);
+  }
+  cachedStore = factory();
+  return cachedStore;
+}
+
+function getConfig() {
+  const algorithm = process.env.RATE_LIMIT_ALGORITHM || 'sliding-window';
+  if (!algorithms[algorithm]) {
+    throw new Error(`Unknown rate limit algorithm: ${algorithm}. Expected ${Object.keys(algorithms).join(' or ')}`);
+  }
+  return {
+    algorithm,
+    limit: parseInt(process.env.RATE_LIMIT_REQUESTS || '30'),
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60') * 1000,
+    keyQuota: parseInt(process.env.QUOTA_DAILY_TOKENS_PER_KEY || '200000'),
+    ipQuota: parseInt(process.env.QUOTA_DAILY_TOKENS_PER_IP || '100000')
+  };
+}
+
+/**
+ * Client IP address; Vercel puts the original client first in X-Forwarded-For
+ * @param {Object} req - Request
+ * @return {String} IP address or "unknown"
+ */
+function clientIp(req) {
+  const forwarded = req.headers && req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return String(forwarded).split(',')[0].trim();
+  }
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Who a request is counted against
+ * @param {Object} req - Request (req.auth from withAuth)
+ * @return {Array} [{ kind: "key"|"ip", id }]
+ */
+function clientIdentities(req) {
+  const identities = [];
+  const auth = req.auth || {};
+  if (auth.type === 'key' && auth.keyId) {
+    identities.push({ kind: 'key', id: `key:${auth.keyId}` });
+  } else if (auth.subject) {
+    identities.push({ kind: 'key', id: `user:${auth.subject}` });
+  }
+  identities.push({ kind: 'ip', id: `ip:${clientIp(req)}` });
+  return identities;
+}
+
+function quotaKey(identity, now) {
+  return `quota:${identity.id}:${new Date(now).toISOString().substring(0, 10)}`;
+}
+
+function quotaLimit(identity, config) {
+  return identity.kind === 'ip' ? config.ipQuota : config.keyQuota;
+}
+
+/**
+ * Counts a request against the rate limits and checks the token quotas
+ * @param {Array} identities - From clientIdentities
+ * @return {Object} { allowed, rate: { limit, remaining, resetMs }, retryAfterMs, reason }
+ */
+async function checkRequest(identities) {
+  const store = getStore();
+  const config = getConfig();
+  const now = Date.now();
+
+  // Quotas first, so a client that is out of tokens doesn't use up its request rate
+  for (const identity of identities) {
+    const quota = quotaLimit(identity, config);
+    if (!quota) continue;
+    const used = (await store.get(quotaKey(identity, now))) || 0;
+    if (used >= quota) {
+      const nextDay = Math.ceil((now + 1) / DAY_MS) * DAY_MS;
+      return {
+        allowed: false,
+        retryAfterMs: nextDay - now,
+        reason: `Daily token quota of ${quota} for this ${identity.kind === 'ip' ? 'IP address' : 'account'} is used up`
+      };
+    }
+  }
+
+  if (!config.limit) {
+    return { allowed: true, rate: null };
+  }
+
+  // The most restrictive result is reported in the headers
+  let rate = null;
+  for (const identity of identities) {
+    const result = await store.update(
+      `rate:${identity.id}`,
+      state => algorithms[config.algorithm](state, now, config),
+      config.windowMs * 2
+    );
+    if (!rate || result.remaining < rate.remaining) rate = result;
+    if (!result.allowed) {
+      return {
+        allowed: false,
+        rate: result,
+        retryAfterMs: result.retryAfterMs,
+        reason: `Rate limit of ${config.limit} requests per ${config.windowMs / 1000} seconds exceeded`
+      };
+    }
+  }
+  return { allowed: true, rate };
+}
+
+/**
+ * Charges the tokens of a completion to the callers' daily quotas; failures
+ * are logged, never thrown
+ * @param {Array} identities - From clientIdentities
+ * @param {Object} usage - Completion usage ({ total_tokens } or prompt + completion tokens)
+ */
+async function recordUsage(identities, usage) {
+  if (!usage) return;
+  const tokens = usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  if (!tokens) return;
+
+  try {
+    const store = getStore();
+    if (!store) return;
+    const now = Date.now();
+    for (const identity of identities) {
+      await store.increment(quotaKey(identity, now), tokens, 2 * DAY_MS);
+    }
+  } catch (error) {
+    console.warn('Recording token usage failed:', error.message);
+  }
+}
+
+function setRateLimitHeaders(res, rate, config) {
+  if (!rate) return;
+  res.setHeader('RateLimit-Limit', String(rate.limit));
+  res.setHeader('RateLimit-Remaining', String(rate.remaining));
+  res.setHeader('RateLimit-Reset', String(Math.ceil(rate.resetMs / 1000)));
+  res.setHeader('RateLimit-Policy', `${rate.limit};w=${config.windowMs / 1000}`);
+}
+
+/**
+ * Wraps an API handler with the rate limits and token quotas. The handler
+ * charges completion usage with req.rateLimit.recordUsage(usage).
+ * If the store fails, requests are let through and the failure is logged.
+ * @param {Function} handler - async (req, res) handler
+ * @return {Function} async (req, res) handler
+ */
+function withRateLimit(handler) {
+  return async (req, res) => {
+    let decision = null;
+    let identities = [];
+    try {
+      if (getStore()) {
+        identities = clientIdentities(req);
+        decision = await checkRequest(identities);
+        setRateLimitHeaders(res, decision.rate, getConfig());
+      }
+    } catch (error) {
+      console.warn('Rate limiter unavailable, request not limited:', error.message);
+    }
+
+    if (decision && !decision.allowed) {
+      const retryAfterSeconds = Math.max(1, Math.ceil(decision.retryAfterMs / 1000));
+      console.warn(`Request limited (${identities.map(identity => identity.id).join(', ')}): ${decision.reason}`);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Retry-After', String(retryAfterSeconds));
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: `${decision.reason}. Try again in ${retryAfterSeconds} seconds.`,
+        retryAfterSeconds
+      });
+      return;
+    }
+
+    req.rateLimit = {
+      recordUsage: usage => (decision ? recordUsage(identities, usage) : Promise.resolve())
+    };
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  getStore,
+  clientIp,
+  clientIdentities,
+  checkRequest,
+  recordUsage,
+  withRateLimit
+};
@@ -0,0 +1,65 @@
+// utilities/rate-limit/memory-store.js
+// In-process rate limit store for development. Every function instance
+// keeps its own counts, so limits are per instance.
+
+/**
+ * Creates an in-memory store
+ * @param {Object} options - { maxEntries }
+ * @return {Object} Store: { name, update, increment, get }
+ */
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || 10000;
+  const entries = new Map();
+
+  function read(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  function write(key, value, ttlMs, now) {
+    entries.set(key, { value, expiresAt: now + ttlMs });
+    if (entries.size > maxEntries) {
+      // Drop expired entries first, then the oldest ones
+      entries.forEach((entry, entryKey) => {
+        if (entry.expiresAt <= now) entries.delete(entryKey);
+      });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async update(key, fn, ttlMs) {
+      const now = Date.now();
+      const entry = read(key, now);
+      const { state, result } = fn(entry ? entry.value : null);
+      write(key, state, ttlMs, now);
+      return result;
+    },
+
+    async increment(key, amount, ttlMs) {
+      const now = Date.now();
+      const entry = read(key, now);
+      const value = (entry ? entry.value : 0) + amount;
+      // Counters keep the expiry they were created with
+      write(key, value, entry ? entry.expiresAt - now : ttlMs, now);
+      return value;
+    },
+
+    async get(key) {
+      const entry = read(key, Date.now());
+      return entry ? entry.value : null;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore
+};
@@ -0,0 +1,81 @@
+// utilities/rate-limit/mongodb-store.js
+// Rate limit store in a MongoDB collection, shared by all function instances.
+// A TTL index removes expired entries; reads also ignore them in between.
+// State updates are compare-and-swap on a version number, so concurrent
+// requests never overwrite each other's counts.
+
+const { connectToDatabase } = require('../storage/mongodb-adapter');
+
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Creates a MongoDB-backed store
+ * @param {Object} options - { collectionName }
+ * @return {Object} Store: { name, update, increment, get }
+ */
+function createMongoStore(options = {}) {
+  const collectionName = options.collectionName || 'rate_limits';
+  let indexesCreated = false;
+
+  async function getCollection() {
+    const db = await connectToDatabase();
+    const collection = db.collection(collectionName);
+
+    if (!indexesCreated) {
+      await collection.createIndex({ expiresAt: 1 }, { name: 'rate_limit_ttl_index', expireAfterSeconds: 0 });
+      indexesCreated = true;
+    }
+    return collection;
+  }
+
+  return {
+    name: 'mongodb',
+
+    async update(key, fn, ttlMs) {
+      const collection = await getCollection();
+
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const entry = await collection.findOne({ _id: key });
+        const live = entry && entry.expiresAt > new Date();
+        const { state, result } = fn(live ? entry.state : null);
+        const expiresAt = new Date(Date.now() + ttlMs);
+
+        try {
+          if (!entry) {
+            await collection.insertOne({ _id: key, state, version: 1, expiresAt });
+            return result;
+          }
+          const updated = await collection.updateOne(
+            { _id: key, version: entry.version },
+            { $set: { state, expiresAt }, $inc: { version: 1 } }
+          );
+          if (updated.modifiedCount === 1) return result;
+        } catch (error) {
+          // Another request created the entry first; read it again
+          if (error.code !== 11000) throw error;
+        }
+      }
+      throw new Error(`Rate limit entry ${key} is updated too often concurrently`);
+    },
+
+    async increment(key, amount, ttlMs) {
+      const collection = await getCollection();
+      const result = await collection.findOneAndUpdate(
+        { _id: key },
+        { $inc: { value: amount }, $setOnInsert: { expiresAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return result.value ? result.value.value : amount;
+    },
+
+    async get(key) {
+      const collection = await getCollection();
+      const entry = await collection.findOne({ _id: key, expiresAt: { $gt: new Date() } });
+      return entry ? entry.value : null;
+    }
+  };
+}
+
+module.exports = {
+  createMongoStore
+};
@@ -0,0 +1,149 @@
+// utilities/self-consistency.js
+// Self-consistency: sample several reasoning drafts for the same question
+// at a non-zero temperature, extract each final answer and return the one
+// most drafts agree on.
+
+const { chatCompletion } = require('./llm-gateway');
+const { processBotMessage, normalizeAnswer, extractNumber } = require('./answer-extraction');
+
+const DEFAULT_SAMPLES = 5;
+const MAX_SAMPLES = 10;
+const DEFAULT_TEMPERATURE = 0.7;
+
+/**
+ * Final answer of a draft: the text after #### if there is one, otherwise
+ * what the CoT conclusion markers find
+ * @param {String} content - Draft text
+ * @return {Object} { thinking, answer } (answer null when none is found)
+ */
+function extractFinalAnswer(content) {
+  const separated = processBotMessage(content, 'cod');
+  if (separated.answer) {
+    return { thinking: separated.thinking, answer: separated.answer };
+  }
+  const concluded = processBotMessage(content, 'cot');
+  return { thinking: concluded.thinking, answer: concluded.answer };
+}
+
+/**
+ * Key two answers share when they count as the same vote: the number for
+ * numeric answers ("8 lollipops" and "8"), the normalized text otherwise
+ * @param {String} answer - Extracted answer
+ * @return {String} Vote key; empty when there is no answer
+ */
+function voteKey(answer) {
+  if (!answer) return '';
+  // Read from the raw answer: normalizing drops the "." and "," of "3.5" and "1,000"
+  const number = extractNumber(answer);
+  return number !== null ? String(number) : normalizeAnswer(answer);
+}
+
+/**
+ * Groups draft answers into votes, largest group first; ties go to the
+ * answer that appeared first
+ * @param {Array} drafts - [{ answer }] in sampling order
+ * @return {Array} [{ key, answer, count, drafts: [draft indexes] }]
+ */
+function tallyVotes(drafts) {
+  const votes = new Map();
+  drafts.forEach((draft, index) => {
+    const key = voteKey(draft.answer);
+    if (!key) return;
+    if (!votes.has(key)) {
+      votes.set(key, { key, answer: draft.answer, count: 0, drafts: [] });
+    }
+    const vote = votes.get(key);
+    vote.count++;
+    vote.drafts.push(index);
+  });
+  return Array.from(votes.values()).sort((a, b) => b.count - a.count || a.drafts[0] - b.drafts[0]);
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0),
+    estimated: total.estimated || !!usage.estimated
+  };
+}
+
+/**
+ * Samples drafts in parallel and majority-votes the final answer
+ * @param {Object} requestBody - Completion request ({ model, messages, ... }) shared by all drafts
+ * @param {Object} options - { samples (default 5, max 10), temperature (default 0.7) }
+ * @return {Object} { answer, content, agreement, votes, drafts, usage, cost, performance }
+ */
+async function runSelfConsistency(requestBody, options = {}) {
+  const samples = Math.max(1, Math.min(MAX_SAMPLES, parseInt(options.samples) || DEFAULT_SAMPLES));
+  const temperature = options.temperature !== undefined ? options.temperature : DEFAULT_TEMPERATURE;
+  const startTime = Date.now();
+
+  // Cached answers would make every draft identical
+  const results = await Promise.allSettled(
+    Array.from({ length: samples }, () => chatCompletion({ ...requestBody, temperature, stream: false, cache: false }))
+  );
+
+  if (results.every(result => result.status === 'rejected')) {
+    throw results[0].reason;
+  }
+
+  let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, estimated: false };
+  let totalCost = 0;
+  let costKnown = true;
+
+  const drafts = results.map(result => {
+    if (result.status === 'rejected') {
+      return { error: result.reason.message };
+    }
+
+    const data = result.value;
+    const content = ((data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '').trim();
+    const performance = data.performance || {};
+    usage = addUsage(usage, performance.usage);
+    if (performance.cost) {
+      totalCost += performance.cost.total_usd;
+    } else {
+      costKnown = false;
+    }
+
+    return {
+      content,
+      ...extractFinalAnswer(content),
+      model: performance.model,
+      usage: performance.usage
+    };
+  });
+
+  const votes = tallyVotes(drafts);
+  const winner = votes[0] || null;
+  const winningDraft = winner ? drafts[winner.drafts[0]] : drafts.find(draft => !draft.error);
+  const answeredCount = votes.reduce((sum, vote) => sum + vote.count, 0);
+
+  return {
+    answer: winner ? winner.answer : null,
+    // Full text of the first draft with the winning answer, to show as the reply
+    content: winningDraft.content,
+    agreement: winner ? Math.round((winner.count / samples) * 100) / 100 : 0,
+    votes,
+    drafts,
+    samples,
+    temperature,
+    answered: answeredCount,
+    failed: drafts.filter(draft => draft.error).length,
+    usage,
+    cost: costKnown ? { total_usd: Math.round(totalCost * 1e6) / 1e6 } : null,
+    response_time_ms: Date.now() - startTime
+  };
+}
+
+module.exports = {
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES,
+  DEFAULT_TEMPERATURE,
+  extractFinalAnswer,
+  voteKey,
+  tallyVotes,
+  runSelfConsistency
+};
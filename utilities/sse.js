@@ -0,0 +1,267 @@
+// utilities/sse.js
+// Server-Sent Events helpers: an incremental parser for upstream streams and
+// writers for the normalized events our streaming endpoints send to the browser
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Creates an incremental SSE parser. Chunks can split lines, events and
+ * multi-byte UTF-8 characters anywhere; complete events are passed to
+ * onEvent as { event, data, id }.
+ * @param {Function} onEvent - Called once per complete event
+ * @return {Object} { push(chunk), flush() }
+ */
+function createSseParser(onEvent) {
+  // Keeps the bytes of a character split across chunks until the rest arrives
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let dataLines = [];
+  let eventName = null;
+  let eventId = null;
+
+  function dispatch() {
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName || 'message', data: dataLines.join('\n'), id: eventId });
+    }
+    dataLines = [];
+    eventName = null;
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+
+    // Comment lines (often used as keep-alives)
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    let value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.substring(1);
+    }
+
+    if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'event') {
+      eventName = value;
+    } else if (field === 'id') {
+      eventId = value;
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+      let newline;
+      while ((newline = buffer.search(/\r\n|\r|\n/)) !== -1) {
+        // A lone \r at the end of the buffer may be the first half of \r\n
+        if (buffer[newline] === '\r' && newline === buffer.length - 1) {
+          break;
+        }
+        const line = buffer.substring(0, newline);
+        buffer = buffer.substring(newline + (buffer.startsWith('\r\n', newline) ? 2 : 1));
+        processLine(line);
+      }
+    },
+
+    // Called at end of stream: handles a last event without a trailing blank line
+    flush() {
+      buffer += decoder.end();
+      if (buffer !== '') {
+        processLine(buffer.replace(/\r$/, ''));
+        buffer = '';
+      }
+      dispatch();
+    }
+  };
+}
+
+/**
+ * Maps an OpenAI-compatible chat completion chunk to our normalized shape
+ * @param {Object} chunk - Parsed upstream JSON
+ * @return {Object} { delta, finishReason, usage }
+ */
+function normalizeChatChunk(chunk) {
+  const choice = (chunk.choices && chunk.choices[0]) || {};
+  return {
+    delta: (choice.delta && choice.delta.content) || (choice.message && choice.message.content) || '',
+    finishReason: choice.finish_reason || null,
+    usage: chunk.usage || null
+  };
+}
+
+/**
+ * Sets the response headers for an SSE stream
+ */
+function startSseResponse(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies such as nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.status(200);
+}
+
+/**
+ * Writes one event. Objects are sent as JSON, strings as they are.
+ */
+function writeSseEvent(res, data) {
+  if (res.writableEnded) return;
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Sends an SSE comment every intervalMs so idle connections aren't closed
+ * @return {Function} Stops the heartbeat
+ */
+function startHeartbeat(res, intervalMs = 15000) {
+  const timer = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(': heartbeat\n\n');
+    }
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Aborts the upstream request when the client disconnects mid-stream
+ * @param {Object} res - Client response
+ * @param {AbortController} controller - Controller of the upstream fetch
+ * @return {Function} Returns true once the client has gone away
+ */
+function abortOnClientDisconnect(res, controller) {
+  let closed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected, aborting upstream stream');
+      closed = true;
+      controller.abort();
+    }
+  });
+  return () => closed;
+}
+
+/**
+ * Relays an OpenAI-compatible upstream SSE response to the client as
+ * normalized delta/finish/usage events, ending with exactly one [DONE]
+ * @param {Object} res - Client response
+ * @param {Object} upstream - node-fetch response with a streaming body
+ * @param {Object} options - {
+ *   controller,        AbortController of the upstream fetch
+ *   isClientClosed,    from abortOnClientDisconnect
+ *   idleTimeoutMs,     abort if the upstream sends nothing for this long
+ *   onChunk(chunk),    sees every parsed upstream chunk
+ *   finalEvents()      extra events sent just before [DONE]
+ * }
+ * @return {Promise} Resolves when the stream has ended
+ */
+function relayChatStream(res, upstream, options = {}) {
+  const isClientClosed = options.isClientClosed || (() => false);
+
+  return new Promise(resolve => {
+    startSseResponse(res);
+    const stopHeartbeat = startHeartbeat(res);
+    let finished = false;
+    let idleTimer = null;
+    let timedOut = false;
+
+    function resetIdleTimer() {
+      if (!options.idleTimeoutMs || !options.controller) return;
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        timedOut = true;
+        options.controller.abort();
+      }, options.idleTimeoutMs);
+    }
+
+    function finish(error) {
+      if (finished) return;
+      finished = true;
+      stopHeartbeat();
+      clearTimeout(idleTimer);
+
+      if (!isClientClosed() && !res.writableEnded) {
+        if (error) {
+          writeSseEvent(res, { type: 'error', error: true, message: error.message });
+        } else if (options.finalEvents) {
+          options.finalEvents().forEach(event => writeSseEvent(res, event));
+        }
+        writeSseEvent(res, '[DONE]');
+        res.end();
+      }
+      resolve();
+    }
+
+    const parser = createSseParser(event => {
+      if (event.data === '[DONE]') {
+        finish();
+        return;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(event.data);
+      } catch (parseError) {
+        console.warn('Skipping malformed upstream event:', event.data.substring(0, 200));
+        return;
+      }
+
+      if (chunk.error) {
+        finish(new Error(chunk.error.message || JSON.stringify(chunk.error)));
+        return;
+      }
+
+      if (options.onChunk) {
+        options.onChunk(chunk);
+      }
+
+      const { delta, finishReason, usage } = normalizeChatChunk(chunk);
+      if (delta) {
+        writeSseEvent(res, { type: 'delta', delta });
+      }
+      if (finishReason) {
+        writeSseEvent(res, { type: 'finish', finishReason });
+      }
+      if (usage) {
+        writeSseEvent(res, { type: 'usage', usage });
+      }
+    });
+
+    resetIdleTimer();
+
+    upstream.body.on('data', chunk => {
+      resetIdleTimer();
+      if (!finished) parser.push(chunk);
+    });
+
+    upstream.body.on('end', () => {
+      parser.flush();
+      finish();
+    });
+
+    upstream.body.on('error', err => {
+      if (isClientClosed()) {
+        finish();
+        return;
+      }
+      console.error('Stream error:', err);
+      finish(timedOut ? new Error(`Upstream sent nothing for ${options.idleTimeoutMs / 1000} seconds`) : err);
+    });
+  });
+}
+
+module.exports = {
+  abortOnClientDisconnect,
+  relayChatStream,
+  createSseParser,
+  normalizeChatChunk,
+  startSseResponse,
+  writeSseEvent,
+  startHeartbeat
+};
@@ -0,0 +1,99 @@
+// utilities/storage/bm25.js
+// Okapi BM25 ranking for the file-backed and in-memory example stores
+
+const { tokenize } = require('../embeddings');
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights mirror the MongoDB text index (input: 10, output: 5)
+const FIELD_WEIGHTS = {
+  input: 2,
+  output: 1,
+  text: 1
+};
+
+/**
+ * Weighted term frequencies of a document across its searchable fields
+ * @param {Object} doc - Example or chunk document
+ * @return {Object} { terms: Map(term -> weighted frequency), length }
+ */
+function documentTerms(doc) {
+  const terms = new Map();
+  let length = 0;
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    if (typeof doc[field] !== 'string') return;
+
+    tokenize(doc[field]).forEach(token => {
+      terms.set(token, (terms.get(token) || 0) + FIELD_WEIGHTS[field]);
+      length += FIELD_WEIGHTS[field];
+    });
+  });
+
+  return { terms, length };
+}
+
+/**
+ * Builds an index that can be queried repeatedly
+ * @param {Array} docs - Documents to index
+ * @return {Object} Index with search(query, limit)
+ */
+function createBm25Index(docs) {
+  const entries = docs.map(doc => ({ doc, ...documentTerms(doc) }));
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  // Number of documents containing each term
+  const documentFrequency = new Map();
+  entries.forEach(entry => {
+    entry.terms.forEach((_, term) => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+
+  function idf(term) {
+    const df = documentFrequency.get(term) || 0;
+    return Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    size: entries.length,
+
+    /**
+     * @param {String} query - Free text query
+     * @param {Number} limit - Maximum number of results
+     * @return {Array} Matching documents, best first, each with a `score`
+     */
+    search(query, limit) {
+      const queryTerms = Array.from(new Set(tokenize(query)));
+      if (queryTerms.length === 0) {
+        return [];
+      }
+
+      const results = [];
+      entries.forEach(entry => {
+        let score = 0;
+        queryTerms.forEach(term => {
+          const tf = entry.terms.get(term);
+          if (!tf) return;
+          const norm = K1 * (1 - B + B * entry.length / (averageLength || 1));
+          score += idf(term) * (tf * (K1 + 1)) / (tf + norm);
+        });
+
+        if (score > 0) {
+          results.push({ doc: entry.doc, score });
+        }
+      });
+
+      return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(result => ({ ...result.doc, score: result.score }));
+    }
+  };
+}
+
+module.exports = {
+  createBm25Index
+};
@@ -0,0 +1,87 @@
+// utilities/storage/index.js
+// Picks the example store used by the KAG/RAG endpoints.
+//
+// Every adapter implements:
+//   search(query, { mode, maxResults, collectionName }) -> documents with `score`
+//   insert(docs, { collectionName })                   -> { insertedCount }
+//   count({ collectionName })                          -> number of documents
+//   ping()                                             -> { ok: true, ... }
+//   checkConfig()                                      -> error message or null
+//
+// KAG_STORAGE selects the adapter: "mongodb" (default), "memory" or "jsonl".
+//
+// Requests search MONGODB_COLLECTION (default: "examples") or one of the
+// collections listed in KAG_COLLECTIONS (comma-separated), never threads,
+// prompts or other data in the same database.
+
+const { createMongoAdapter } = require('./mongodb-adapter');
+const { createMemoryAdapter } = require('./memory-adapter');
+const { createJsonlAdapter, readJsonl } = require('./jsonl-adapter');
+
+const adapters = {
+  mongodb: createMongoAdapter,
+  memory: createMemoryAdapter,
+  jsonl: createJsonlAdapter
+};
+
+// One adapter per process so the in-memory store and connections are shared
+let cachedStorage = null;
+
+function defaultCollectionName() {
+  return process.env.MONGODB_COLLECTION || 'examples';
+}
+
+/**
+ * Collections requests may search
+ * @return {Array} Collection names
+ */
+function getSearchableCollections() {
+  const listed = (process.env.KAG_COLLECTIONS || '').split(',').map(name => name.trim()).filter(Boolean);
+  return [defaultCollectionName()].concat(listed.filter(name => name !== defaultCollectionName()));
+}
+
+/**
+ * Collection a request searches
+ * @param {String} requested - collectionName from the request, optional
+ * @return {String|null} Collection name, or null when the request names one it may not search
+ */
+function resolveCollectionName(requested) {
+  if (requested === undefined || requested === null || requested === '') {
+    return defaultCollectionName();
+  }
+  return typeof requested === 'string' && getSearchableCollections().includes(requested) ? requested : null;
+}
+
+/**
+ * Returns the configured storage adapter
+ * @param {String} name - Adapter name, defaults to KAG_STORAGE
+ * @return {Object} Storage adapter
+ */
+function getStorage(name) {
+  const adapterName = name || process.env.KAG_STORAGE || 'mongodb';
+
+  if (cachedStorage && cachedStorage.name === adapterName) {
+    return cachedStorage;
+  }
+
+  const factory = adapters[adapterName];
+  if (!factory) {
+    throw new Error(`Unknown storage adapter: ${adapterName}`);
+  }
+
+  const storage = factory({ defaultCollection: defaultCollectionName() });
+
+  // The memory store can be seeded from a JSONL file so the full flow runs offline
+  if (adapterName === 'memory' && process.env.KAG_SEED_FILE) {
+    storage.insert(readJsonl(process.env.KAG_SEED_FILE, 'seed'));
+  }
+
+  cachedStorage = storage;
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  getSearchableCollections,
+  resolveCollectionName
+};
@@ -0,0 +1,104 @@
+// utilities/storage/jsonl-adapter.js
+// File-backed example store: one JSONL file per collection, ranked with BM25
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryAdapter, newDocumentId } = require('./memory-adapter');
+
+// Collection names become file names, so they must not contain path separators or ".."
+const COLLECTION_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Reads a JSONL file, skipping blank and unparsable lines
+ * @param {String} filePath - Path to the JSONL file
+ * @param {String} idPrefix - Prefix for ids of records without an _id
+ * @return {Array} Parsed documents
+ */
+function readJsonl(filePath, idPrefix) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const docs = [];
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      const doc = JSON.parse(line);
+      docs.push({ _id: doc._id || `${idPrefix}:${index + 1}`, ...doc });
+    } catch (err) {
+      console.warn(`Skipping invalid JSON on line ${index + 1} of ${filePath}: ${err.message}`);
+    }
+  });
+  return docs;
+}
+
+/**
+ * Creates a store backed by <dataDir>/<collection>.jsonl
+ * @param {Object} options - { dataDir, defaultCollection, embeddingProvider }
+ * @return {Object} Storage adapter
+ */
+function createJsonlAdapter(options = {}) {
+  const dataDir = options.dataDir || process.env.KAG_DATA_DIR || './data';
+  const defaultCollection = options.defaultCollection || 'examples';
+  const memory = createMemoryAdapter(options);
+
+  function filePath(collectionName) {
+    return path.join(dataDir, `${collectionName}.jsonl`);
+  }
+
+  // Files are read once per process; inserts go to memory and the file together
+  function ensureLoaded(collectionName) {
+    const name = collectionName || defaultCollection;
+    if (typeof name !== 'string' || !COLLECTION_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    if (!memory._has(name)) {
+      memory._load(name, readJsonl(filePath(name), name));
+    }
+    return name;
+  }
+
+  return {
+    name: 'jsonl',
+
+    checkConfig() {
+      if (!fs.existsSync(dataDir)) {
+        return `Data directory not found: ${dataDir}`;
+      }
+      return null;
+    },
+
+    async search(query, searchOptions = {}) {
+      const collectionName = ensureLoaded(searchOptions.collectionName);
+      return memory.search(query, { ...searchOptions, collectionName });
+    },
+
+    async insert(docs, insertOptions = {}) {
+      const collectionName = ensureLoaded(insertOptions.collectionName);
+      // Ids are written to the file so documents keep them after a reload
+      const withIds = docs.map(doc => ({ _id: doc._id || newDocumentId(), ...doc }));
+      const lines = withIds.map(doc => JSON.stringify(doc)).join('\n') + '\n';
+      await fs.promises.appendFile(filePath(collectionName), lines, 'utf8');
+      return memory.insert(withIds, { collectionName });
+    },
+
+    async count(countOptions = {}) {
+      const collectionName = ensureLoaded(countOptions.collectionName);
+      return memory.count({ collectionName });
+    },
+
+    async ping() {
+      const configError = this.checkConfig();
+      if (configError) {
+        throw new Error(configError);
+      }
+      const files = fs.readdirSync(dataDir).filter(file => file.endsWith('.jsonl'));
+      return { ok: true, collections: files.map(file => path.basename(file, '.jsonl')) };
+    }
+  };
+}
+
+module.exports = {
+  createJsonlAdapter,
+  readJsonl
+};
@@ -0,0 +1,140 @@
+// utilities/storage/memory-adapter.js
+// In-memory example store; lets retrieval run without a database (local dev, CI)
+
+const crypto = require('crypto');
+const { createBm25Index } = require('./bm25');
+const { getEmbeddingProvider, cosineSimilarity, exampleEmbeddingText } = require('../embeddings');
+const { RETRIEVAL_MODES, reciprocalRankFusion } = require('../kag-retrieval');
+
+/**
+ * Id for a new document, in the form of a MongoDB ObjectId
+ * @return {String} 24 hex characters
+ */
+function newDocumentId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Removes internal fields before documents leave the store
+ */
+function publicDocument(doc) {
+  const { embedding, ...rest } = doc;
+  return rest;
+}
+
+/**
+ * Creates an in-memory store
+ * @param {Object} options - { defaultCollection, embeddingProvider }
+ * @return {Object} Storage adapter
+ */
+function createMemoryAdapter(options = {}) {
+  const defaultCollection = options.defaultCollection || 'examples';
+  const collections = new Map();
+  // BM25 indexes are rebuilt lazily after inserts
+  const indexes = new Map();
+
+  function getDocs(collectionName) {
+    const name = collectionName || defaultCollection;
+    if (!collections.has(name)) {
+      collections.set(name, []);
+    }
+    return collections.get(name);
+  }
+
+  function getIndex(collectionName) {
+    const name = collectionName || defaultCollection;
+    if (!indexes.has(name)) {
+      indexes.set(name, createBm25Index(getDocs(name)));
+    }
+    return indexes.get(name);
+  }
+
+  async function vectorSearch(docs, query, limit, provider) {
+    // Embed anything that was stored without a compatible vector
+    const missing = docs.filter(doc => doc.embeddingModel !== provider.id);
+    if (missing.length > 0) {
+      const embeddings = await provider.embed(missing.map(exampleEmbeddingText));
+      missing.forEach((doc, i) => {
+        doc.embedding = embeddings[i];
+        doc.embeddingModel = provider.id;
+      });
+    }
+
+    const [queryEmbedding] = await provider.embed([query]);
+    return docs
+      .map(doc => ({ ...doc, score: cosineSimilarity(queryEmbedding, doc.embedding) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return {
+    name: 'memory',
+
+    checkConfig() {
+      return null;
+    },
+
+    async search(query, searchOptions = {}) {
+      const mode = searchOptions.mode || 'text';
+      const maxResults = searchOptions.maxResults || 3;
+      const docs = getDocs(searchOptions.collectionName);
+
+      if (!RETRIEVAL_MODES.includes(mode)) {
+        throw new Error(`Unknown retrieval mode: ${mode}`);
+      }
+
+      let results;
+      if (mode === 'text') {
+        results = getIndex(searchOptions.collectionName).search(query, maxResults);
+      } else {
+        const provider = searchOptions.embeddingProvider || options.embeddingProvider || getEmbeddingProvider();
+        if (mode === 'vector') {
+          results = await vectorSearch(docs, query, maxResults, provider);
+        } else {
+          const candidateCount = maxResults * 4;
+          results = reciprocalRankFusion([
+            getIndex(searchOptions.collectionName).search(query, candidateCount),
+            await vectorSearch(docs, query, candidateCount, provider)
+          ], maxResults);
+        }
+      }
+
+      return results.map(publicDocument);
+    },
+
+    async insert(newDocs, insertOptions = {}) {
+      const name = insertOptions.collectionName || defaultCollection;
+      const docs = getDocs(name);
+
+      newDocs.forEach(doc => {
+        docs.push({ _id: doc._id || newDocumentId(), ...doc });
+      });
+      indexes.delete(name);
+
+      return { insertedCount: newDocs.length };
+    },
+
+    async count(countOptions = {}) {
+      return getDocs(countOptions.collectionName).length;
+    },
+
+    async ping() {
+      return { ok: true, collections: Array.from(collections.keys()) };
+    },
+
+    // Exposed for the JSONL adapter, which loads files into the same structure
+    _load(collectionName, docs) {
+      collections.set(collectionName, docs);
+      indexes.delete(collectionName);
+    },
+
+    _has(collectionName) {
+      return collections.has(collectionName);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryAdapter,
+  newDocumentId
+};
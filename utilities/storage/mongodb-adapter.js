@@ -0,0 +1,88 @@
+// utilities/storage/mongodb-adapter.js
+// MongoDB example store and the shared, cached database connection
+
+const { MongoClient } = require('mongodb');
+const { searchExamples } = require('../kag-retrieval');
+
+// MongoDB connection details
+const uri = process.env.MONGODB_URI;
+const dbName = process.env.MONGODB_DB_NAME || 'kag-database';
+
+// Cache MongoDB connection
+let cachedDb = null;
+
+async function connectToDatabase() {
+  if (cachedDb) {
+    return cachedDb;
+  }
+
+  if (!uri) {
+    throw new Error('Database connection string not configured');
+  }
+
+  const client = new MongoClient(uri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    serverSelectionTimeoutMS: 5000,
+    connectTimeoutMS: 10000,
+  });
+
+  await client.connect();
+  const db = client.db(dbName);
+
+  cachedDb = db;
+  return db;
+}
+
+/**
+ * Creates a store backed by MongoDB collections
+ * @param {Object} options - { defaultCollection, embeddingProvider }
+ * @return {Object} Storage adapter
+ */
+function createMongoAdapter(options = {}) {
+  const defaultCollection = options.defaultCollection || 'examples';
+
+  async function getCollection(collectionName) {
+    const db = await connectToDatabase();
+    return db.collection(collectionName || defaultCollection);
+  }
+
+  return {
+    name: 'mongodb',
+
+    checkConfig() {
+      return uri ? null : 'Database connection string not configured';
+    },
+
+    async search(query, searchOptions = {}) {
+      const collection = await getCollection(searchOptions.collectionName);
+      return searchExamples(collection, query, {
+        mode: searchOptions.mode,
+        maxResults: searchOptions.maxResults,
+        embeddingProvider: searchOptions.embeddingProvider || options.embeddingProvider
+      });
+    },
+
+    async insert(docs, insertOptions = {}) {
+      const collection = await getCollection(insertOptions.collectionName);
+      const result = await collection.insertMany(docs);
+      return { insertedCount: result.insertedCount };
+    },
+
+    async count(countOptions = {}) {
+      const collection = await getCollection(countOptions.collectionName);
+      return collection.countDocuments();
+    },
+
+    async ping() {
+      const db = await connectToDatabase();
+      await db.command({ ping: 1 });
+      return { ok: true, database: dbName };
+    }
+  };
+}
+
+module.exports = {
+  createMongoAdapter,
+  connectToDatabase
+};
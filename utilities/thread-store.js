@@ -0,0 +1,280 @@
+// utilities/thread-store.js
+// Per-user conversation threads stored in MongoDB, with last-writer-wins
+// merging of individual messages so several browsers can sync the same thread
+
+const { connectToDatabase } = require('./storage/mongodb-adapter');
+
+const THREADS_COLLECTION = process.env.THREADS_COLLECTION || 'threads';
+
+// Attempts at a read-merge-write before giving up on concurrent writers
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Together these keep a thread well under MongoDB's 16 MB document limit
+const MAX_MESSAGES_PER_THREAD = parseInt(process.env.THREAD_MAX_MESSAGES || '500');
+const MAX_MESSAGE_BYTES = parseInt(process.env.THREAD_MAX_MESSAGE_BYTES || String(24 * 1024));
+
+class ThreadStoreError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ThreadStoreError';
+    this.status = status;
+  }
+}
+
+let indexesCreated = false;
+
+async function getCollection() {
+  const db = await connectToDatabase();
+  const collection = db.collection(THREADS_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ userId: 1, threadId: 1 }, { name: 'user_thread_index', unique: true });
+    indexesCreated = true;
+  }
+  return collection;
+}
+
+function messageTime(message) {
+  return new Date(message.updatedAt || message.timestamp || 0).getTime();
+}
+
+/**
+ * Parses a date sent by the client
+ * @param {String|Number} value - ISO date or epoch milliseconds
+ * @param {String} field - Name used in the error message
+ * @return {Date} The date
+ */
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ThreadStoreError(400, `${field} must be a valid date`);
+  }
+  return date;
+}
+
+function checkMessageCount(messages) {
+  if (messages.length > MAX_MESSAGES_PER_THREAD) {
+    throw new ThreadStoreError(413, `A thread can hold at most ${MAX_MESSAGES_PER_THREAD} messages`);
+  }
+  return messages;
+}
+
+/**
+ * Merges two message lists by message id. For a message present in both,
+ * the copy with the later updatedAt wins; ties keep the existing copy.
+ * @param {Array} existing - Messages already stored
+ * @param {Array} incoming - Messages being written
+ * @return {Array} Merged messages ordered by timestamp
+ */
+function mergeMessages(existing, incoming) {
+  const merged = new Map();
+
+  (existing || []).forEach(message => merged.set(message.id, message));
+  (incoming || []).forEach(message => {
+    const current = merged.get(message.id);
+    if (!current || messageTime(message) > messageTime(current)) {
+      merged.set(message.id, message);
+    }
+  });
+
+  return Array.from(merged.values()).sort((a, b) =>
+    new Date(a.timestamp || 0).getTime() - new Date(b.timestamp || 0).getTime()
+  );
+}
+
+/**
+ * Checks the messages in a write request
+ * @param {Array} messages - Messages from the client
+ * @return {Array} Messages with normalized timestamps
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages)) {
+    throw new ThreadStoreError(400, 'messages must be an array');
+  }
+  checkMessageCount(messages);
+
+  return messages.map((message, index) => {
+    if (!message || typeof message !== 'object') {
+      throw new ThreadStoreError(400, `messages[${index}] must be an object`);
+    }
+    if (!message.id || typeof message.id !== 'string') {
+      throw new ThreadStoreError(400, `messages[${index}].id is required`);
+    }
+    if (message.sender !== 'user' && message.sender !== 'bot') {
+      throw new ThreadStoreError(400, `messages[${index}].sender must be "user" or "bot"`);
+    }
+
+    if (Buffer.byteLength(JSON.stringify(message)) > MAX_MESSAGE_BYTES) {
+      throw new ThreadStoreError(413, `messages[${index}] is larger than ${MAX_MESSAGE_BYTES} bytes`);
+    }
+
+    const timestamp = parseDate(message.timestamp || Date.now(), `messages[${index}].timestamp`);
+    return {
+      ...message,
+      timestamp: timestamp.toISOString(),
+      updatedAt: parseDate(message.updatedAt || timestamp, `messages[${index}].updatedAt`).toISOString()
+    };
+  });
+}
+
+// Shape returned to clients
+function toThread(doc, includeMessages) {
+  const thread = {
+    id: doc.threadId,
+    name: doc.name,
+    nameUpdatedAt: doc.nameUpdatedAt,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt,
+    messageCount: doc.messageCount !== undefined ? doc.messageCount : (doc.messages || []).length
+  };
+
+  if (doc.deletedAt) {
+    thread.deleted = true;
+    thread.deletedAt = doc.deletedAt;
+  } else if (includeMessages) {
+    thread.messages = doc.messages || [];
+  }
+  return thread;
+}
+
+/**
+ * Lists a user's threads, including tombstones of deleted ones so other
+ * clients can drop them
+ */
+async function listThreads(userId, options = {}) {
+  const query = { userId };
+  if (options.since) {
+    query.updatedAt = { $gt: parseDate(options.since, 'since').toISOString() };
+  }
+  const collection = await getCollection();
+
+  if (options.includeMessages) {
+    const docs = await collection.find(query).sort({ updatedAt: -1 }).toArray();
+    return docs.map(doc => toThread(doc, true));
+  }
+
+  // Summaries only: count the messages without sending them back
+  const docs = await collection.aggregate([
+    { $match: query },
+    { $sort: { updatedAt: -1 } },
+    { $project: {
+      threadId: 1, name: 1, nameUpdatedAt: 1, createdAt: 1, updatedAt: 1, deletedAt: 1,
+      messageCount: { $size: { $ifNull: ['$messages', []] } }
+    } }
+  ]).toArray();
+  return docs.map(doc => toThread(doc, false));
+}
+
+async function getThread(userId, threadId) {
+  const collection = await getCollection();
+  const doc = await collection.findOne({ userId, threadId });
+  if (!doc) {
+    throw new ThreadStoreError(404, 'Thread not found');
+  }
+  return toThread(doc, true);
+}
+
+async function createThread(userId, data) {
+  if (!data.id) {
+    throw new ThreadStoreError(400, 'Missing required parameter: id');
+  }
+
+  const now = new Date().toISOString();
+  const doc = {
+    userId,
+    threadId: String(data.id),
+    name: data.name || 'Untitled Thread',
+    nameUpdatedAt: data.nameUpdatedAt ? parseDate(data.nameUpdatedAt, 'nameUpdatedAt').toISOString() : now,
+    messages: mergeMessages([], validateMessages(data.messages || [])),
+    createdAt: now,
+    updatedAt: now,
+    version: 1
+  };
+
+  const collection = await getCollection();
+  try {
+    await collection.insertOne(doc);
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ThreadStoreError(409, 'Thread already exists');
+    }
+    throw error;
+  }
+  return toThread(doc, true);
+}
+
+/**
+ * Reads a thread, applies a change and writes it back only if nobody else
+ * wrote in between (optimistic concurrency on the version field)
+ */
+async function updateThread(userId, threadId, applyChange) {
+  const collection = await getCollection();
+
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const doc = await collection.findOne({ userId, threadId });
+    if (!doc) {
+      throw new ThreadStoreError(404, 'Thread not found');
+    }
+    if (doc.deletedAt) {
+      throw new ThreadStoreError(410, 'Thread was deleted');
+    }
+
+    const changes = applyChange(doc);
+    const updated = { ...doc, ...changes, updatedAt: new Date().toISOString(), version: (doc.version || 0) + 1 };
+
+    const result = await collection.replaceOne({ _id: doc._id, version: doc.version }, updated);
+    if (result.modifiedCount === 1) {
+      return toThread(updated, true);
+    }
+  }
+
+  throw new ThreadStoreError(409, 'Thread is being modified concurrently, please retry');
+}
+
+async function appendMessages(userId, threadId, messages) {
+  const incoming = validateMessages(messages);
+  return updateThread(userId, threadId, doc => ({
+    messages: checkMessageCount(mergeMessages(doc.messages, incoming))
+  }));
+}
+
+async function renameThread(userId, threadId, name, nameUpdatedAt) {
+  if (!name || typeof name !== 'string') {
+    throw new ThreadStoreError(400, 'Missing required parameter: name');
+  }
+
+  const requestTime = nameUpdatedAt ? parseDate(nameUpdatedAt, 'nameUpdatedAt').toISOString() : new Date().toISOString();
+  return updateThread(userId, threadId, doc => {
+    // Last writer wins for the name as well
+    if (doc.nameUpdatedAt && new Date(doc.nameUpdatedAt) > new Date(requestTime)) {
+      return {};
+    }
+    return { name: name, nameUpdatedAt: requestTime };
+  });
+}
+
+async function deleteThread(userId, threadId) {
+  const collection = await getCollection();
+  const now = new Date().toISOString();
+
+  // Keep a tombstone so other clients learn about the delete on their next pull
+  const result = await collection.updateOne(
+    { userId, threadId },
+    { $set: { deletedAt: now, updatedAt: now, messages: [] }, $inc: { version: 1 } }
+  );
+  if (result.matchedCount === 0) {
+    throw new ThreadStoreError(404, 'Thread not found');
+  }
+  return { id: threadId, deleted: true, deletedAt: now };
+}
+
+module.exports = {
+  ThreadStoreError,
+  mergeMessages,
+  listThreads,
+  getThread,
+  createThread,
+  appendMessages,
+  renameThread,
+  deleteThread
+};
@@ -0,0 +1,164 @@
+// utilities/token-usage.js
+// Token usage and cost of chat completions.
+//
+// Usage comes from the provider's `usage` block; when a provider leaves it
+// out (common for streams) it is estimated from the text at ~4 characters
+// per token and marked with `estimated: true`.
+//
+// Prices are USD per million tokens. Override or extend the table with
+//   LLM_PRICES='{"accounts/fireworks/models/my-model":{"input":0.5,"output":0.5}}'
+
+const CHARS_PER_TOKEN = 4;
+// Role markers and separators the chat template adds to every message
+const TOKENS_PER_MESSAGE = 4;
+
+// Published list prices; keys are model names as sent upstream
+const MODEL_PRICES = {
+  'accounts/fireworks/models/deepseek-v3': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/deepseek-v3-0324': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/deepseek-r1': { input: 3, output: 8 },
+  'accounts/fireworks/models/qwen2p5-coder-32b-instruct': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/llama-v3p3-70b-instruct': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/llama-v3p1-405b-instruct': { input: 3, output: 3 },
+  'accounts/fireworks/models/llama-v3p1-70b-instruct': { input: 0.9, output: 0.9 },
+  'accounts/fireworks/models/llama-v3p1-8b-instruct': { input: 0.2, output: 0.2 },
+  'accounts/fireworks/models/mixtral-8x22b-instruct': { input: 1.2, output: 1.2 },
+  'accounts/fireworks/models/mistral-small-24b-instruct-2501': { input: 0.9, output: 0.9 },
+  'sonar': { input: 1, output: 1 },
+  'sonar-pro': { input: 3, output: 15 },
+  'sonar-reasoning': { input: 1, output: 5 },
+  'sonar-reasoning-pro': { input: 2, output: 8 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'mock': { input: 0, output: 0 }
+};
+
+// Used for models missing from the table
+const PROVIDER_DEFAULT_PRICES = {
+  fireworks: { input: 0.9, output: 0.9 },
+  mock: { input: 0, output: 0 }
+};
+
+let customPrices = null;
+
+function getPriceTable() {
+  if (customPrices === null) {
+    customPrices = {};
+    if (process.env.LLM_PRICES) {
+      try {
+        customPrices = JSON.parse(process.env.LLM_PRICES);
+      } catch (error) {
+        console.warn('Ignoring invalid LLM_PRICES:', error.message);
+      }
+    }
+  }
+  return { ...MODEL_PRICES, ...customPrices };
+}
+
+/**
+ * Price of a model
+ * @param {String} providerName - Provider that answered
+ * @param {String} model - Model as requested, with or without a "<provider>/" prefix
+ * @return {Object|null} { input, output } in USD per million tokens, or null if unknown
+ */
+function getModelPrice(providerName, model) {
+  const prices = getPriceTable();
+  const prefix = `${providerName}/`;
+  const upstreamModel = model && model.startsWith(prefix) ? model.substring(prefix.length) : model;
+  const own = key => (Object.prototype.hasOwnProperty.call(prices, key) ? prices[key] : null);
+  return own(model) || own(upstreamModel) || PROVIDER_DEFAULT_PRICES[providerName] || null;
+}
+
+// Text of a message; content may also be an array of parts
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content.map(part => (part && part.text) || '').join('');
+  }
+  return '';
+}
+
+/**
+ * Rough token count of a text
+ * @param {String} text - Any text
+ * @return {Number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Rough prompt token count of chat messages
+ * @param {Array} messages - Chat messages
+ * @return {Number} Estimated tokens
+ */
+function estimateMessageTokens(messages) {
+  return (messages || []).reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + estimateTokens(messageText(message)),
+    0
+  );
+}
+
+/**
+ * Normalized usage of a completion, estimated when the provider sent none
+ * @param {Object} usage - Provider usage block, if any
+ * @param {Array} messages - Request messages (for the estimate)
+ * @param {String} completion - Generated text (for the estimate)
+ * @return {Object} { prompt_tokens, completion_tokens, total_tokens, estimated }
+ */
+function resolveUsage(usage, messages, completion) {
+  if (usage && typeof usage.prompt_tokens === 'number' && typeof usage.completion_tokens === 'number') {
+    return {
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens,
+      total_tokens: usage.total_tokens || usage.prompt_tokens + usage.completion_tokens,
+      estimated: false
+    };
+  }
+
+  const promptTokens = estimateMessageTokens(messages);
+  const completionTokens = estimateTokens(completion);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    estimated: true
+  };
+}
+
+/**
+ * Cost of a completion
+ * @param {Object} usage - Normalized usage (see resolveUsage)
+ * @param {String} providerName - Provider that answered
+ * @param {String} model - Model that answered
+ * @return {Object|null} { input_usd, output_usd, total_usd }, or null when the model has no price
+ */
+function calculateCost(usage, providerName, model) {
+  const price = getModelPrice(providerName, model);
+  if (!price || !usage) {
+    return null;
+  }
+
+  const inputUsd = usage.prompt_tokens * price.input / 1e6;
+  const outputUsd = usage.completion_tokens * price.output / 1e6;
+  return {
+    input_usd: roundUsd(inputUsd),
+    output_usd: roundUsd(outputUsd),
+    total_usd: roundUsd(inputUsd + outputUsd)
+  };
+}
+
+// Micro-dollar precision is enough and keeps the JSON short
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+module.exports = {
+  MODEL_PRICES,
+  getModelPrice,
+  estimateTokens,
+  estimateMessageTokens,
+  resolveUsage,
+  calculateCost
+};
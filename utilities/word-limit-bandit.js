@@ -0,0 +1,263 @@
+// utilities/word-limit-bandit.js
+// Picks the CoD word limit per problem category (e.g. the complexity level)
+// with a UCB1 bandit, learning from thumbs up/down and token usage.
+//
+// Stats are stored in MongoDB, one document per category and limit:
+//   { category, limit, uses, feedbackCount, positive, tokenCount, tokenSum, updatedAt }
+//
+// Every choice is also stored as a decision, and feedback and token usage
+// name the decision instead of a category and limit, so a client can't rate
+// limits it was never given. The current vote of each decision is kept
+// there too; changing or withdrawing it only undoes what was counted:
+//   { _id: decision id, category, limit, voter, feedback, completionTokens, expiresAt }
+// Decisions expire after BANDIT_DECISION_TTL_DAYS (default: 90); later votes are rejected.
+//
+// The reward of a limit is its share of thumbs up (with one imagined up and
+// one down vote so unrated limits start at 0.5) minus BANDIT_TOKEN_PENALTY
+// per 1000 completion tokens it used on average.
+
+const crypto = require('crypto');
+const { connectToDatabase } = require('./storage/mongodb-adapter');
+const { ENHANCED_COD_WORD_LIMITS } = require('./prompt-builder');
+
+const BANDIT_COLLECTION = process.env.BANDIT_COLLECTION || 'word_limit_stats';
+const DECISION_COLLECTION = process.env.BANDIT_DECISION_COLLECTION || 'word_limit_decisions';
+const DECISION_TTL_MS = parseInt(process.env.BANDIT_DECISION_TTL_DAYS || '90') * 24 * 60 * 60 * 1000;
+const TOKEN_PENALTY = parseFloat(process.env.BANDIT_TOKEN_PENALTY || '0.1');
+const EXPLORATION = parseFloat(process.env.BANDIT_EXPLORATION || '1');
+const CATEGORY_PATTERN = /^[a-z0-9_-]{1,32}$/;
+const FEEDBACK_VALUES = ['up', 'down'];
+
+class WordLimitBanditError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'WordLimitBanditError';
+    this.status = status;
+  }
+}
+
+let indexesCreated = false;
+
+async function getCollections() {
+  const db = await connectToDatabase();
+  const collection = db.collection(BANDIT_COLLECTION);
+  const decisions = db.collection(DECISION_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ category: 1, limit: 1 }, { name: 'category_limit_index', unique: true });
+    await decisions.createIndex({ expiresAt: 1 }, { name: 'expires_at_ttl', expireAfterSeconds: 0 });
+    indexesCreated = true;
+  }
+  return { collection, decisions };
+}
+
+async function getCollection() {
+  return (await getCollections()).collection;
+}
+
+function round(value, digits = 3) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function checkCategory(category) {
+  if (typeof category !== 'string' || !CATEGORY_PATTERN.test(category)) {
+    throw new WordLimitBanditError(400, 'category must be 1-32 lower case letters, digits, "-" or "_"');
+  }
+}
+
+function checkDecisionId(decisionId) {
+  if (typeof decisionId !== 'string' || !/^[a-f0-9]{24}$/.test(decisionId)) {
+    throw new WordLimitBanditError(400, 'decisionId must be the id of a word limit decision');
+  }
+}
+
+// Updates an unexpired decision of the voter; returns it as it was before, or null when none matches
+async function updateDecision(decisions, decisionId, voter, filter, update) {
+  const result = await decisions.findOneAndUpdate(
+    { _id: decisionId, voter: voter || null, expiresAt: { $gt: new Date() }, ...filter },
+    update,
+    { returnDocument: 'before' }
+  );
+  return result.value;
+}
+
+/**
+ * Reward of one limit from its stats
+ * @param {Object} arm - { feedbackCount, positive, tokenCount, tokenSum }
+ * @return {Number} Reward, roughly 0 to 1
+ */
+function armReward(arm) {
+  // Clamped so inconsistent counts can't push the approval outside 0..1
+  const feedbackCount = Math.max(0, arm.feedbackCount || 0);
+  const positive = Math.min(feedbackCount, Math.max(0, arm.positive || 0));
+  const approval = (positive + 1) / (feedbackCount + 2);
+  const averageTokens = arm.tokenCount ? arm.tokenSum / arm.tokenCount : 0;
+  return approval - TOKEN_PENALTY * averageTokens / 1000;
+}
+
+/**
+ * Chooses a limit with UCB1: limits never used are tried first, then the
+ * one with the highest reward plus exploration bonus wins
+ * @param {Array} stats - Stats documents of the category (missing limits count as unused)
+ * @param {String} category - Problem category
+ * @return {Object} Decision for the message metadata:
+ *   { policy, category, limit, reason: "untried"|"highest-score", scores: [...], decidedAt }
+ */
+function chooseWordLimit(stats, category) {
+  const arms = ENHANCED_COD_WORD_LIMITS.map(limit => {
+    const arm = stats.find(entry => entry.limit === limit) || {};
+    return {
+      limit,
+      uses: arm.uses || 0,
+      feedbackCount: arm.feedbackCount || 0,
+      positive: arm.positive || 0,
+      averageTokens: arm.tokenCount ? Math.round(arm.tokenSum / arm.tokenCount) : null,
+      reward: round(armReward(arm))
+    };
+  });
+
+  const totalUses = arms.reduce((sum, arm) => sum + arm.uses, 0);
+  arms.forEach(arm => {
+    arm.score = arm.uses === 0 ? null : round(arm.reward + EXPLORATION * Math.sqrt(Math.log(Math.max(totalUses, 1)) / arm.uses));
+  });
+
+  const untried = arms.find(arm => arm.uses === 0);
+  const chosen = untried || arms.reduce((best, arm) => (arm.score > best.score ? arm : best));
+
+  return {
+    policy: 'ucb1',
+    category,
+    limit: chosen.limit,
+    reason: untried ? 'untried' : 'highest-score',
+    scores: arms,
+    decidedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Stats of a category, or of all categories
+ * @param {String} category - Problem category (optional)
+ * @return {Array} Stats documents without _id
+ */
+async function getStats(category) {
+  if (category !== undefined) checkCategory(category);
+  const collection = await getCollection();
+  return collection
+    .find(category !== undefined ? { category } : {}, { projection: { _id: 0 } })
+    .sort({ category: 1, limit: 1 })
+    .toArray();
+}
+
+/**
+ * Chooses the limit for a new message, counts it as used and stores the
+ * decision for later feedback
+ * @param {String} category - Problem category
+ * @param {String} voter - Authenticated user who may rate the response (null without authentication)
+ * @return {Object} Decision (see chooseWordLimit) with its id
+ */
+async function selectWordLimit(category, voter = null) {
+  checkCategory(category);
+  const decision = chooseWordLimit(await getStats(category), category);
+  decision.id = crypto.randomBytes(12).toString('hex');
+
+  const { collection, decisions } = await getCollections();
+  await decisions.insertOne({
+    _id: decision.id,
+    category,
+    limit: decision.limit,
+    voter: voter || null,
+    feedback: null,
+    expiresAt: new Date(Date.now() + DECISION_TTL_MS)
+  });
+  await collection.updateOne(
+    { category, limit: decision.limit },
+    { $inc: { uses: 1 }, $set: { updatedAt: decision.decidedAt } },
+    { upsert: true }
+  );
+  return decision;
+}
+
+/**
+ * Records the completion tokens of the response written for a decision;
+ * only the first report of a decision counts
+ * @param {String} decisionId - Id from selectWordLimit
+ * @param {Number} completionTokens - Tokens of the response
+ * @param {String} voter - Authenticated user (null without authentication)
+ * @return {Object} { category, limit, recorded }
+ */
+async function recordUsage(decisionId, completionTokens, voter = null) {
+  checkDecisionId(decisionId);
+  const tokens = parseInt(completionTokens);
+  if (isNaN(tokens) || tokens < 0) {
+    throw new WordLimitBanditError(400, 'completionTokens must be a non-negative number');
+  }
+
+  const { collection, decisions } = await getCollections();
+  const decision = await updateDecision(decisions, decisionId, voter,
+    { completionTokens: { $exists: false } },
+    { $set: { completionTokens: tokens } });
+  if (!decision) {
+    const known = await decisions.countDocuments({ _id: decisionId, voter: voter || null, expiresAt: { $gt: new Date() } });
+    if (!known) throw new WordLimitBanditError(404, 'Unknown or expired word limit decision');
+    return { recorded: false };
+  }
+
+  await collection.updateOne(
+    { category: decision.category, limit: decision.limit },
+    { $inc: { tokenCount: 1, tokenSum: tokens }, $set: { updatedAt: new Date().toISOString() } },
+    { upsert: true }
+  );
+  return { category: decision.category, limit: decision.limit, recorded: true };
+}
+
+/**
+ * Records a thumbs up/down on the response of a decision. The vote replaces
+ * the decision's earlier vote, if any; null withdraws it.
+ * @param {String} decisionId - Id from selectWordLimit
+ * @param {String} feedback - "up", "down" or null (vote withdrawn)
+ * @param {String} voter - Authenticated user (null without authentication)
+ * @return {Object} { category, limit, feedback }
+ */
+async function recordFeedback(decisionId, feedback, voter = null) {
+  checkDecisionId(decisionId);
+  if (feedback !== undefined && feedback !== null && !FEEDBACK_VALUES.includes(feedback)) {
+    throw new WordLimitBanditError(400, `feedback must be one of: ${FEEDBACK_VALUES.join(', ')} or null`);
+  }
+
+  const { collection, decisions } = await getCollections();
+  // Swapping the vote atomically returns the one it replaces, so concurrent votes can't count twice
+  const decision = await updateDecision(decisions, decisionId, voter, {}, { $set: { feedback: feedback || null } });
+  if (!decision) {
+    throw new WordLimitBanditError(404, 'Unknown or expired word limit decision');
+  }
+
+  const vote = value => (value ? { feedbackCount: 1, positive: value === 'up' ? 1 : 0 } : { feedbackCount: 0, positive: 0 });
+  const added = vote(feedback);
+  const removed = vote(decision.feedback);
+  const change = {
+    feedbackCount: added.feedbackCount - removed.feedbackCount,
+    positive: added.positive - removed.positive
+  };
+
+  if (change.feedbackCount !== 0 || change.positive !== 0) {
+    // Never below zero, whatever the stored counts are
+    const clamped = field => ({ $max: [0, { $add: [{ $ifNull: [`$${field}`, 0] }, change[field]] }] });
+    await collection.updateOne(
+      { category: decision.category, limit: decision.limit },
+      [{ $set: { feedbackCount: clamped('feedbackCount'), positive: clamped('positive'), updatedAt: new Date().toISOString() } }],
+      { upsert: true }
+    );
+  }
+  return { category: decision.category, limit: decision.limit, feedback: feedback || null };
+}
+
+module.exports = {
+  WordLimitBanditError,
+  armReward,
+  chooseWordLimit,
+  getStats,
+  selectWordLimit,
+  recordUsage,
+  recordFeedback
+};